@@ -17,7 +17,8 @@ module.exports = function(grunt) {
 
   var concatConfig = {
     js: {
-      src: [sourceDir + "*.js"],
+      // the chart has to be defined before the files extending it
+      src: [sourceDir + "d3-gantt.js", sourceDir + "*.js"],
       dest: targetDir + "d3-gantt.js"
     }
   };
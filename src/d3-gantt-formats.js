@@ -0,0 +1,1378 @@
+// RequireJS, CommonJS compatibility
+(function (factory) {
+  if (typeof define === 'function' && define.amd) {
+    define('d3-gantt-formats', ['d3', 'jquery', 'd3-gantt'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    var ganttChart = module.exports;
+
+    module.exports = function(d3, $) {
+      ganttChart(d3, $);
+      factory(d3, $);
+      return d3.ganttChart;
+    };
+  } else {
+    factory(d3, $);
+  }
+}(function (d3, $) {
+
+  /**
+   * Makes a name unique among the given names by appending a number, e.g. 'Design (2)'.
+   *
+   * @param name {string} name
+   * @param names {object} names that are already used; the returned name is added
+   * @return {string} unique name
+   */
+  var uniqueName = function(name, names) {
+    var unique = name;
+
+    for (var i = 2; names[unique]; i++) unique = name + ' (' + i + ')';
+
+    names[unique] = true;
+
+    return unique;
+  };
+
+
+  /**
+   * Converts a lag of MS Project, given in tenths of minutes, into milliseconds.
+   *
+   * @param lag {number} lag in tenths of minutes
+   * @return {number} lag in milliseconds
+   */
+  var fromMSProjectLag = function(lag) {
+    return lag * 6000;
+  };
+
+
+  /**
+   * Converts a lag in milliseconds into tenths of minutes as used by MS Project.
+   *
+   * @param lag {number} lag in milliseconds
+   * @return {number} lag in tenths of minutes
+   */
+  var toMSProjectLag = function(lag) {
+    return Math.round(lag / 6000);
+  };
+
+
+  /**
+   * Custom fields of MS Project tasks storing the activity and the id of a data point.
+   */
+  var msProjectFields = {
+    activity: { id: 188743731, name: 'Text1', alias: 'Activity' },
+    id: { id: 188743732, name: 'Text2', alias: 'Data point' }
+  };
+
+
+  // importers and exporters for MS Project XML, CSV, TSV, iCalendar, Mermaid and GanttProject
+  $.extend(d3.ganttChart, {
+    /**
+     * Escapes text for the use in XML documents.
+     *
+     * @param value {string} text
+     * @return {string} text with escaped special characters
+     */
+    xmlEscape: function(value) {
+      return String(value).replace(/&/g, '&amp;')
+                          .replace(/</g, '&lt;')
+                          .replace(/>/g, '&gt;')
+                          .replace(/"/g, '&quot;')
+                          .replace(/'/g, '&apos;');
+    },
+
+
+    /**
+     * Converts a calendar of an MS Project XML (MSPDI) document into a calendar definition.
+     *
+     * @param calendar {object} jQuery object of the `Calendar` element
+     * @return {object} calendar with `workingDays`, `workingHours` and `holidays`
+     */
+    msProjectCalendar: function(calendar) {
+      var parseDate = d3.timeParse('%Y-%m-%dT%H:%M:%S');
+      var workingDays = [];
+      var workingHours = null;
+      var holidays = [];
+
+      var hours = function(time) {
+        var parts = time.split(':');
+        return parseInt(parts[0], 10) + parseInt(parts[1], 10) / 60;
+      };
+
+      // non-working periods are given as exceptions or, in older documents, as week days of type 0
+      var addHolidays = function(period) {
+        var from = parseDate($(period).children('FromDate').text());
+        var to = parseDate($(period).children('ToDate').text());
+
+        if (from && to) holidays = holidays.concat(d3.timeDay.range(d3.timeDay.floor(from), d3.timeDay.offset(d3.timeDay.floor(to), 1)));
+      };
+
+      calendar.children('WeekDays').children('WeekDay').each(function() {
+        var day = parseInt($(this).children('DayType').text(), 10);
+        var working = $(this).children('DayWorking').text() === '1';
+
+        if (day === 0) {
+          if (!working) addHolidays($(this).children('TimePeriod'));
+          return;
+        }
+
+        if (!working) return;
+
+        workingDays.push(day - 1);
+
+        var times = $(this).find('WorkingTime').map(function() {
+          var to = hours($(this).children('ToTime').text());
+          return [[hours($(this).children('FromTime').text()), to === 0 ? 24 : to]];
+        }).get();
+
+        if (times.length > 0 && !workingHours) workingHours = times;
+      });
+
+      calendar.children('Exceptions').children('Exception').each(function() {
+        if ($(this).children('DayWorking').text() !== '1') addHolidays($(this).children('TimePeriod'));
+      });
+
+      return {
+        name: calendar.children('Name').text(),
+        workingDays: workingDays.sort(),
+        workingHours: workingHours || [[0, 24]],
+        holidays: holidays
+      };
+    },
+
+
+    /**
+     * Converts an MS Project XML (MSPDI) document into parameters for `init`.
+     *
+     * Summary tasks become nested activities, all other tasks become an activity with a single data point.
+     * Tasks exported by `toMSProjectXML` keep their activity and id, so that tasks of the same activity become its data
+     * points again. Tasks without start become activities without data points.
+     * Predecessor links, baselines, constraints, resource assignments and calendars are taken over.
+     *
+     * @param xmlString {string} MSPDI document
+     * @return {object} parameters with `activities`, `data` and `calendar`
+     */
+    fromMSProjectXML: function(xmlString) {
+      var project = $($.parseXML(xmlString)).children('Project');
+      var parseDate = d3.timeParse('%Y-%m-%dT%H:%M:%S');
+      var linkTypes = ['FF', 'FS', 'SF', 'SS'];
+
+      var text = function(node, name) {
+        return $(node).children(name).text();
+      };
+
+      var customField = function(task, field) {
+        return text($(task).children('ExtendedAttribute').filter(function() {
+          return text(this, 'FieldID') === String(field.id);
+        }).first(), 'Value');
+      };
+
+      var calendars = {};
+
+      project.children('Calendars').children('Calendar').each(function() {
+        calendars[text(this, 'UID')] = d3.ganttChart.msProjectCalendar($(this));
+      });
+
+      var resources = {};
+
+      project.children('Resources').children('Resource').each(function() {
+        resources[text(this, 'UID')] = text(this, 'Name');
+      });
+
+      var assignments = {};
+
+      project.children('Assignments').children('Assignment').each(function() {
+        var resource = resources[text(this, 'ResourceUID')];
+        var task = text(this, 'TaskUID');
+
+        if (resource === undefined) return;
+
+        assignments[task] = (assignments[task] || []).concat([resource]);
+      });
+
+      var tasks = project.children('Tasks').children('Task').filter(function() {
+        return text(this, 'IsNull') !== '1' && parseInt(text(this, 'OutlineLevel') || '1', 10) > 0;
+      }).get();
+
+      var ids = {};
+
+      tasks.forEach(function(task) {
+        ids[text(task, 'UID')] = customField(task, msProjectFields.id) || text(task, 'UID');
+      });
+
+      var activities = [];
+      var data = [];
+      var names = {};
+      var parents = [];
+
+      tasks.forEach(function(task, i) {
+        var uid = text(task, 'UID');
+        var level = parseInt(text(task, 'OutlineLevel') || '1', 10);
+        var next = tasks[i + 1];
+        var summary = text(task, 'Summary') === '1' ||
+                      (next !== undefined && parseInt(text(next, 'OutlineLevel') || '1', 10) > level);
+
+        var name = customField(task, msProjectFields.activity);
+
+        // tasks of an activity that already exists are further data points of this activity
+        if (summary || !name || !names[name]) {
+          // activity names have to be unique
+          name = uniqueName(name || text(task, 'Name') || uid, names);
+
+          var activity = { name: name };
+
+          if (text(task, 'Notes')) activity.description = text(task, 'Notes');
+          if (parents[level - 1]) activity.parent = parents[level - 1];
+          if (calendars[text(task, 'CalendarUID')]) activity.calendar = calendars[text(task, 'CalendarUID')];
+
+          activities.push(activity);
+          parents[level] = name;
+          parents.length = level + 1;
+        }
+
+        if (summary || !text(task, 'Start')) return;
+
+        var elem = {
+          id: ids[uid],
+          activity: name,
+          text: text(task, 'Name'),
+          start: parseDate(text(task, 'Start')),
+          end: parseDate(text(task, 'Finish'))
+        };
+
+        if (text(task, 'Milestone') === '1') {
+          elem.type = 'milestone';
+          elem.end = elem.start;
+        }
+
+        if (text(task, 'PercentComplete')) elem.progress = parseInt(text(task, 'PercentComplete'), 10) / 100;
+
+        var dependsOn = $(task).children('PredecessorLink').map(function() {
+          return {
+            id: ids[text(this, 'PredecessorUID')] || text(this, 'PredecessorUID'),
+            type: linkTypes[parseInt(text(this, 'Type') || '1', 10)] || 'FS',
+            lag: fromMSProjectLag(parseInt(text(this, 'LinkLag') || '0', 10))
+          };
+        }).get();
+
+        if (dependsOn.length > 0) elem.dependsOn = dependsOn;
+
+        var baseline = $(task).children('Baseline').filter(function() {
+          return text(this, 'Number') === '0' || text(this, 'Number') === '';
+        }).first();
+
+        if (baseline.length > 0 && text(baseline, 'Start') && text(baseline, 'Finish')) {
+          elem.baselineStart = parseDate(text(baseline, 'Start'));
+          elem.baselineEnd = parseDate(text(baseline, 'Finish'));
+        }
+
+        var constraint = { 3: 'MFO', 4: 'SNET' }[text(task, 'ConstraintType')];
+
+        if (constraint && text(task, 'ConstraintDate')) {
+          elem.constraint = { type: constraint, date: parseDate(text(task, 'ConstraintDate')) };
+        }
+
+        if (assignments[uid]) elem.resources = assignments[uid];
+
+        data.push(elem);
+      });
+
+      var params = { activities: activities, data: data };
+
+      if (calendars[text(project, 'CalendarUID')]) params.calendar = calendars[text(project, 'CalendarUID')];
+
+      return params;
+    },
+
+
+    /**
+     * Converts the activities and data points of the chart into an MS Project XML (MSPDI) document.
+     *
+     * Activities with nested activities or several data points become summary tasks, the data points become tasks named
+     * by their `text`. The activity and the id of the data point of a task are stored in the custom fields Text1 and Text2.
+     *
+     * @return {string} MSPDI document
+     */
+    toMSProjectXML: function() {
+      var formatDate = d3.timeFormat('%Y-%m-%dT%H:%M:%S');
+      var linkTypes = { FF: 0, FS: 1, SF: 2, SS: 3 };
+      var escape = this.xmlEscape;
+      var fields = [msProjectFields.activity, msProjectFields.id];
+
+      var element = function(name, value) {
+        return '<' + name + '>' + escape(value) + '</' + name + '>';
+      };
+
+      var duration = function(milliseconds) {
+        var minutes = Math.round(milliseconds / 60000);
+        return 'PT' + Math.floor(minutes / 60) + 'H' + (minutes % 60) + 'M0S';
+      };
+
+      var time = function(hours) {
+        var minutes = Math.round(hours * 60);
+        return d3.format('02')(Math.floor(minutes / 60)) + ':' + d3.format('02')(minutes % 60) + ':00';
+      };
+
+      // calendars
+      var calendars = [];
+
+      var calendarUID = function(calendar) {
+        if (!calendar) return -1;
+        if (calendars.indexOf(calendar) < 0) calendars.push(calendar);
+        return calendars.indexOf(calendar) + 1;
+      };
+
+      var projectCalendar = calendarUID(this.params.calendar);
+
+      // tasks in the order of the activity tree
+      var tasks = [];
+      var uids = new Map();
+
+      var addTask = function(task) {
+        task.uid = tasks.length + 1;
+        tasks.push(task);
+        if (task.elem) uids.set(task.elem, task.uid);
+      };
+
+      var addActivity = function(node, level) {
+        var elements = this.params.data.filter(function(elem) {
+          return elem.activity === node.activity.name;
+        });
+        var calendar = this.activityCalendar(node.activity.name);
+        var calendarId = calendar !== this.params.calendar ? calendarUID(calendar) : -1;
+
+        var name = node.activity.name;
+
+        if (node.children.length === 0 && elements.length === 1) {
+          addTask({ name: elements[0].text || name, activity: name, level: level, elem: elements[0],
+                    notes: node.activity.description, calendar: calendarId });
+          return;
+        }
+
+        addTask({ name: name, activity: name, level: level, summary: node.children.length > 0 || elements.length > 0,
+                  notes: node.activity.description, calendar: calendarId });
+
+        elements.forEach(function(elem) {
+          addTask({ name: elem.text || name, activity: name, level: level + 1, elem: elem, calendar: calendarId });
+        });
+
+        node.children.forEach(function(child) {
+          addActivity(child, level + 1);
+        });
+      }.bind(this);
+
+      this.activityTree().forEach(function(node) {
+        addActivity(node, 1);
+      });
+
+      var links = this.dependencyLinks();
+
+      // the elements of a task have to follow the order of the MSPDI schema
+      var taskXML = tasks.map(function(task) {
+        var xml = element('UID', task.uid) + element('ID', task.uid) + element('Name', task.name) +
+                  element('OutlineLevel', task.level);
+
+        var elem = task.elem;
+
+        // summary tasks span their descendants
+        var descendants = tasks.slice(tasks.indexOf(task) + 1);
+        var end = descendants.findIndex(function(other) { return other.level <= task.level; });
+        descendants = descendants.slice(0, end < 0 ? descendants.length : end).filter(function(other) { return other.elem; });
+
+        var start = elem ? elem.start : d3.min(descendants, function(other) { return other.elem.start; });
+        var finish = elem ? elem.end : d3.max(descendants, function(other) { return other.elem.end; });
+
+        if (start && finish) {
+          xml += element('Start', formatDate(start)) + element('Finish', formatDate(finish)) +
+                 element('Duration', duration(elem ? this.elementDuration(elem) :
+                                                     this.workingTimeBetween(this.activityCalendar(task.activity), start, finish)));
+        }
+
+        xml += element('Milestone', elem && this.isMilestone(elem) ? 1 : 0) + element('Summary', task.summary ? 1 : 0);
+
+        if (elem && elem.progress !== undefined) xml += element('PercentComplete', Math.round(elem.progress * 100));
+
+        var constraint = elem && (typeof elem.constraint === 'object' ? elem.constraint : { type: elem.constraint });
+        var constraintType = constraint && { SNET: 4, MFO: 3 }[this.constraintType(constraint.type)];
+
+        if (constraintType && constraint.date) xml += element('ConstraintType', constraintType);
+        if (task.calendar >= 0) xml += element('CalendarUID', task.calendar);
+        if (constraintType && constraint.date) xml += element('ConstraintDate', formatDate(constraint.date));
+        if (task.notes) xml += element('Notes', task.notes);
+
+        if (elem) {
+          links.filter(function(link) {
+            return link.target === elem && uids.has(link.source);
+          }).forEach(function(link) {
+            xml += '<PredecessorLink>' + element('PredecessorUID', uids.get(link.source)) +
+                   element('Type', linkTypes[link.type]) + element('LinkLag', toMSProjectLag(link.lag)) +
+                   element('LagFormat', 7) + '</PredecessorLink>';
+          });
+        }
+
+        [task.activity, elem && elem.id].forEach(function(value, i) {
+          if (value !== undefined) {
+            xml += '<ExtendedAttribute>' + element('FieldID', fields[i].id) + element('Value', value) + '</ExtendedAttribute>';
+          }
+        });
+
+        if (elem && this.hasBaseline(elem)) {
+          xml += '<Baseline>' + element('Number', 0) + element('Start', formatDate(elem.baselineStart)) +
+                 element('Finish', formatDate(elem.baselineEnd)) + '</Baseline>';
+        }
+
+        return '<Task>' + xml + '</Task>';
+      }, this).join('');
+
+      // resources and their assignments
+      var resources = [];
+      var assignmentXML = '';
+
+      tasks.forEach(function(task) {
+        ((task.elem && task.elem.resources) || []).forEach(function(resource) {
+          if (resources.indexOf(resource) < 0) resources.push(resource);
+
+          assignmentXML += '<Assignment>' + element('UID', assignmentXML.split('<Assignment>').length) +
+                           element('TaskUID', task.uid) + element('ResourceUID', resources.indexOf(resource) + 1) +
+                           element('Units', 1) + '</Assignment>';
+        });
+      });
+
+      var resourceXML = resources.map(function(resource, i) {
+        return '<Resource>' + element('UID', i + 1) + element('ID', i + 1) + element('Name', resource) + '</Resource>';
+      }).join('');
+
+      var calendarXML = calendars.map(function(calendar, i) {
+        var weekDays = d3.range(7).map(function(day) {
+          var working = (calendar.workingDays || d3.range(7)).indexOf(day) >= 0;
+          var times = (calendar.workingHours || [[0, 24]]).map(function(hours) {
+            return '<WorkingTime>' + element('FromTime', time(hours[0])) + element('ToTime', time(hours[1] % 24)) + '</WorkingTime>';
+          }).join('');
+
+          return '<WeekDay>' + element('DayType', day + 1) + element('DayWorking', working ? 1 : 0) +
+                 (working ? '<WorkingTimes>' + times + '</WorkingTimes>' : '') + '</WeekDay>';
+        });
+
+        (calendar.holidays || []).forEach(function(holiday) {
+          var day = d3.timeDay.floor(holiday);
+
+          weekDays.push('<WeekDay>' + element('DayType', 0) + element('DayWorking', 0) + '<TimePeriod>' +
+                        element('FromDate', formatDate(day)) +
+                        element('ToDate', formatDate(new Date(d3.timeDay.offset(day, 1) - 60000))) +
+                        '</TimePeriod></WeekDay>');
+        });
+
+        return '<Calendar>' + element('UID', i + 1) + element('Name', calendar.name || 'Calendar ' + (i + 1)) +
+               element('IsBaseCalendar', 1) + '<WeekDays>' + weekDays.join('') + '</WeekDays></Calendar>';
+      }).join('');
+
+      var fieldXML = fields.map(function(field) {
+        return '<ExtendedAttribute>' + element('FieldID', field.id) + element('FieldName', field.name) +
+               element('Alias', field.alias) + '</ExtendedAttribute>';
+      }).join('');
+
+      return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+             '<Project xmlns="http://schemas.microsoft.com/project">' +
+             (projectCalendar >= 0 ? element('CalendarUID', projectCalendar) : '') +
+             '<ExtendedAttributes>' + fieldXML + '</ExtendedAttributes>' +
+             '<Calendars>' + calendarXML + '</Calendars>' +
+             '<Tasks>' + taskXML + '</Tasks>' +
+             '<Resources>' + resourceXML + '</Resources>' +
+             '<Assignments>' + assignmentXML + '</Assignments>' +
+             '</Project>';
+    },
+
+
+    /**
+     * Default mapping of data point fields to the columns of CSV and TSV files.
+     */
+    csvColumns: {
+      id: 'id',
+      activity: 'activity',
+      parent: 'parent',
+      text: 'text',
+      start: 'start',
+      end: 'end',
+      progress: 'progress',
+      dependsOn: 'dependsOn',
+      fillColor: 'fillColor'
+    },
+
+
+    /**
+     * Converts CSV text into parameters for `init`.
+     *
+     * The first line contains the column names. Activities are created in the order of appearance; the `parent` column
+     * nests an activity within another one. Dependencies are separated by ';' and given as `id`, `id:type` or `id:type:lag`.
+     * Progress is given as fraction or as percentage (e.g. '50%').
+     *
+     * @param text {string} CSV text
+     * @param options {object} `delimiter` (default ','), `columns` mapping data point fields to column names
+     *                         (see `csvColumns`) and `dateFormat` (d3.timeParse format, ISO 8601 is used if not set;
+     *                         dates consisting of digits only such as '20160606' for '%Y%m%d' are parsed with this format)
+     * @return {object} parameters with `activities` and `data`, and `errors` listing the rows that could not be converted
+     *                  as {type: 'invalid-row', message, item, index} with the line number as index
+     */
+    fromCSV: function(text, options) {
+      options = $.extend({ delimiter: ',', dateFormat: null }, options);
+
+      var columns = $.extend({}, this.csvColumns, options.columns);
+      var rows = d3.dsvFormat(options.delimiter).parseRows(text);
+      var header = rows.shift() || [];
+
+      var activities = [];
+      var activityNames = {};
+      var data = [];
+      var errors = [];
+
+      var addActivity = function(name, parent) {
+        if (parent && !activityNames[parent]) addActivity(parent);
+
+        if (!activityNames[name]) {
+          activityNames[name] = { name: name };
+          activities.push(activityNames[name]);
+        }
+
+        if (parent && parent !== name) activityNames[name].parent = parent;
+      };
+
+      rows.forEach(function(values, i) {
+        var line = i + 2;
+
+        // skip empty lines
+        if (values.join('').trim() === '') return;
+
+        var row = {};
+
+        header.forEach(function(column, j) {
+          row[column] = values[j];
+        });
+
+        var value = function(field) {
+          var cell = row[columns[field]];
+          return cell !== undefined && cell.trim() !== '' ? cell.trim() : undefined;
+        };
+
+        var fail = function(message) {
+          errors.push({ type: 'invalid-row', message: 'Line ' + line + ': ' + message, item: row, index: line });
+        };
+
+        if (values.length !== header.length) {
+          return fail('expected ' + header.length + ' columns but found ' + values.length);
+        }
+
+        if (!value('activity')) return fail('column "' + columns.activity + '" is empty');
+
+        var start = this.parseDate(value('start'), options.dateFormat);
+        var end = this.parseDate(value('end'), options.dateFormat);
+
+        if (!(start instanceof Date) || isNaN(start)) return fail('start "' + (value('start') || '') + '" is not a valid date');
+        if (end !== undefined && isNaN(end) && value('end') !== 'now') return fail('end "' + value('end') + '" is not a valid date');
+        if (end instanceof Date && end < start) return fail('end is before start');
+
+        var elem = { activity: value('activity'), start: start };
+
+        if (value('end') !== undefined) elem.end = value('end') === 'now' ? 'now' : end;
+        if (value('id') !== undefined) elem.id = value('id');
+        if (value('text') !== undefined) elem.text = value('text');
+        if (value('fillColor') !== undefined) elem.fillColor = value('fillColor');
+
+        if (value('progress') !== undefined) {
+          var progress = parseFloat(value('progress')) / (/%$/.test(value('progress')) ? 100 : 1);
+
+          if (isNaN(progress)) return fail('progress "' + value('progress') + '" is not a number');
+
+          elem.progress = progress;
+        }
+
+        if (value('dependsOn') !== undefined) {
+          elem.dependsOn = value('dependsOn').split(';').filter(function(dependency) {
+            return dependency.trim() !== '';
+          }).map(function(dependency) {
+            var parts = dependency.trim().split(':');
+            return parts.length === 1 ? parts[0] : { id: parts[0], type: parts[1], lag: parseInt(parts[2] || '0', 10) };
+          });
+        }
+
+        addActivity(elem.activity, value('parent'));
+        data.push(elem);
+      }, this);
+
+      return { activities: activities, data: data, errors: errors };
+    },
+
+
+    /**
+     * Converts TSV text into parameters for `init`.
+     *
+     * @param text {string} TSV text
+     * @param options {object} options as for `fromCSV`
+     * @return {object} parameters with `activities`, `data` and `errors` as returned by `fromCSV`
+     */
+    fromTSV: function(text, options) {
+      return this.fromCSV(text, $.extend({}, options, { delimiter: '\t' }));
+    },
+
+
+    /**
+     * Converts the data points of the chart into CSV text with one row per data point.
+     *
+     * @param options {object} `delimiter` (default ','), `columns` mapping data point fields to column names
+     *                         (see `csvColumns`) and `dateFormat` (d3.timeFormat format, ISO 8601 is used if not set)
+     * @return {string} CSV text
+     */
+    toCSV: function(options) {
+      options = $.extend({ delimiter: ',', dateFormat: null }, options);
+
+      var columns = $.extend({}, this.csvColumns, options.columns);
+      var formatDate = options.dateFormat ? d3.timeFormat(options.dateFormat) : d3.isoFormat;
+      var fields = Object.keys(columns);
+      var activities = this.activityNodes || {};
+
+      var dependencies = function(elem) {
+        return (elem.dependsOn || []).map(function(dependency) {
+          if (typeof dependency !== 'object') return dependency;
+
+          var type = dependency.type ? this.dependencyType(dependency.type) : 'FS';
+
+          return dependency.lag ? [dependency.id, type, dependency.lag].join(':') :
+                                  (type !== 'FS' ? dependency.id + ':' + type : dependency.id);
+        }, this).join(';');
+      }.bind(this);
+
+      var rows = this.params.data.map(function(elem) {
+        var node = activities[elem.activity];
+
+        var values = {
+          id: elem.id,
+          activity: elem.activity,
+          parent: node && node.parent ? node.parent.activity.name : undefined,
+          text: elem.text,
+          start: elem.start instanceof Date ? formatDate(elem.start) : elem.start,
+          end: elem.ongoing ? 'now' : (elem.end instanceof Date ? formatDate(elem.end) : elem.end),
+          progress: elem.progress,
+          dependsOn: dependencies(elem),
+          fillColor: elem.fillColor
+        };
+
+        return fields.map(function(field) {
+          return values[field] === undefined || values[field] === null ? '' : String(values[field]);
+        });
+      });
+
+      return d3.dsvFormat(options.delimiter).formatRows([fields.map(function(field) {
+        return columns[field];
+      })].concat(rows));
+    },
+
+
+    /**
+     * Converts the data points of the chart into TSV text with one row per data point.
+     *
+     * @param options {object} options as for `toCSV`
+     * @return {string} TSV text
+     */
+    toTSV: function(options) {
+      return this.toCSV($.extend({}, options, { delimiter: '\t' }));
+    },
+
+
+    /**
+     * Splits iCalendar text into its properties.
+     *
+     * @param text {string} iCalendar text
+     * @return {array} properties with `name`, `params` (object of upper-case parameter names) and `value`
+     */
+    parseICalendarProperties: function(text) {
+      // folded lines continue with a space or tab
+      return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(function(line) {
+        return line.trim() !== '';
+      }).map(function(line) {
+        // the value starts after the first colon outside of quoted parameter values
+        var match = /^((?:[^:"]|"[^"]*")*):(.*)$/.exec(line) || [line, line, ''];
+        var parts = match[1].match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        var params = {};
+
+        parts.slice(1).forEach(function(param) {
+          var index = param.indexOf('=');
+          params[param.slice(0, index).toUpperCase()] = param.slice(index + 1).replace(/^"|"$/g, '');
+        });
+
+        return { name: parts[0].toUpperCase(), params: params, value: match[2] };
+      });
+    },
+
+
+    /**
+     * Parses an iCalendar duration, e.g. 'PT1H30M' or 'P1W'.
+     *
+     * @param value {string} iCalendar duration
+     * @return {number} duration in milliseconds
+     */
+    parseICalendarDuration: function(value) {
+      var match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+
+      if (!match) return 0;
+
+      var factors = [604800000, 86400000, 3600000, 60000, 1000];
+      var duration = d3.sum(match.slice(2), function(part, i) {
+        return parseInt(part || '0', 10) * factors[i];
+      });
+
+      return match[1] === '-' ? -duration : duration;
+    },
+
+
+    /**
+     * Converts iCalendar text (.ics) into parameters for `init`.
+     *
+     * Each VEVENT becomes a data point: SUMMARY is used as text, the first of the CATEGORIES as activity, UID as id
+     * and DESCRIPTION as description. DTSTART and DTEND (or DURATION) are converted to `start` and `end`, taking into
+     * account TZID parameters and all-day events (VALUE=DATE). Recurring events keep their RRULE and EXDATE,
+     * modified occurrences (RECURRENCE-ID) become `overrides` of their recurring data point.
+     *
+     * @param text {string} iCalendar text
+     * @param options {object} `activity` used for events without categories (default 'Events')
+     * @return {object} parameters with `activities` and `data`
+     */
+    fromICalendar: function(text, options) {
+      options = $.extend({ activity: 'Events' }, options);
+
+      var parseDate = function(property) {
+        var timeZone = property.params.TZID;
+
+        try {
+          return this.parseICalendarDate(property.value, timeZone);
+        } catch (e) {
+          // time zones that are not known by name are treated as local time
+          return this.parseICalendarDate(property.value);
+        }
+      }.bind(this);
+
+      var unescape = function(value) {
+        return value.replace(/\\([\\;,nN])/g, function(match, character) {
+          return character.toLowerCase() === 'n' ? '\n' : character;
+        });
+      };
+
+      var events = [];
+      var event = null;
+      var depth = 0;
+
+      this.parseICalendarProperties(text).forEach(function(property) {
+        if (property.name === 'BEGIN') {
+          if (property.value.toUpperCase() === 'VEVENT') event = { exdate: [] };
+          else if (event) depth++;
+          return;
+        }
+
+        if (property.name === 'END') {
+          if (event && depth > 0) depth--;
+          else if (event && property.value.toUpperCase() === 'VEVENT') {
+            events.push(event);
+            event = null;
+          }
+          return;
+        }
+
+        // ignore properties of nested components such as alarms
+        if (!event || depth > 0) return;
+
+        switch (property.name) {
+          case 'UID':
+            event.id = property.value;
+            break;
+          case 'SUMMARY':
+            event.text = unescape(property.value);
+            break;
+          case 'DESCRIPTION':
+            event.description = unescape(property.value);
+            break;
+          case 'CATEGORIES':
+            // categories are separated by unescaped commas
+            if (!event.activity) event.activity = unescape((property.value.match(/(?:[^,\\]|\\.)+/g) || [''])[0]);
+            break;
+          case 'DTSTART':
+            event.start = parseDate(property);
+            event.allDay = property.params.VALUE === 'DATE' || property.value.length === 8;
+            break;
+          case 'DTEND':
+            event.end = parseDate(property);
+            break;
+          case 'DURATION':
+            event.duration = this.parseICalendarDuration(property.value);
+            break;
+          case 'RRULE':
+            event.rrule = property.value;
+            break;
+          case 'EXDATE':
+            property.value.split(',').forEach(function(value) {
+              event.exdate.push(parseDate({ params: property.params, value: value }));
+            });
+            break;
+          case 'RECURRENCE-ID':
+            event.recurrenceId = parseDate(property);
+            break;
+        }
+      }, this);
+
+      var activities = [];
+      var data = [];
+      var recurring = {};
+
+      events.forEach(function(event) {
+        if (event.rrule && event.id !== undefined && !event.recurrenceId) recurring[event.id] = event;
+      });
+
+      events.forEach(function(event) {
+        if (!event.start) return;
+
+        if (!event.end) {
+          // all-day events without end last one day, other events without end or duration are instantaneous
+          event.end = typeof event.duration === 'number' ? new Date(+event.start + event.duration) :
+                                                           (event.allDay ? d3.timeDay.offset(event.start, 1) : event.start);
+        }
+
+        delete event.duration;
+
+        if (!event.allDay) delete event.allDay;
+        if (event.exdate.length === 0 || !event.rrule) delete event.exdate;
+
+        // modified occurrences of recurring events keep the activity of their recurring event unless they have categories
+        var master = event.recurrenceId !== undefined ? recurring[event.id] : undefined;
+
+        if (master) {
+          delete event.id;
+          master.overrides = (master.overrides || []).concat([event]);
+        } else {
+          delete event.recurrenceId;
+          data.push(event);
+        }
+
+        if (!event.activity && !master) event.activity = options.activity;
+        if (event.activity && activities.indexOf(event.activity) < 0) activities.push(event.activity);
+      });
+
+      return {
+        activities: activities.map(function(name) {
+          return { name: name };
+        }),
+        data: data
+      };
+    },
+
+
+    /**
+     * Converts the data points of the chart into iCalendar text (.ics) with one VEVENT per data point.
+     *
+     * Recurring data points are written with their RRULE, EXDATE and overrides instead of their occurrences.
+     *
+     * @param options {object} `name` of the calendar shown by calendar apps; optional
+     * @return {string} iCalendar text
+     */
+    toICalendar: function(options) {
+      options = $.extend({ name: null }, options);
+
+      var formatDateTime = d3.utcFormat('%Y%m%dT%H%M%SZ');
+      var formatDate = d3.timeFormat('%Y%m%d');
+      var now = formatDateTime(new Date());
+
+      var escape = function(value) {
+        return String(value).replace(/([\\;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+      };
+
+      // lines are folded after 75 characters
+      var line = function(content) {
+        var lines = [];
+
+        for (var i = 0; i < content.length; i += (i === 0 ? 75 : 74)) {
+          lines.push((i === 0 ? '' : ' ') + content.slice(i, i === 0 ? 75 : i + 74));
+        }
+
+        return lines.join('\r\n');
+      };
+
+      var date = function(name, value, allDay) {
+        return allDay ? name + ';VALUE=DATE:' + formatDate(value) : name + ':' + formatDateTime(value);
+      };
+
+      var event = function(elem, uid) {
+        var lines = ['BEGIN:VEVENT',
+                     'UID:' + escape(uid),
+                     'DTSTAMP:' + now,
+                     date('DTSTART', elem.start, elem.allDay),
+                     date('DTEND', elem.end, elem.allDay),
+                     'SUMMARY:' + escape(elem.text || elem.activity),
+                     'CATEGORIES:' + escape(elem.activity)];
+
+        if (elem.description) lines.push('DESCRIPTION:' + escape(elem.description));
+        if (elem.recurrenceId) lines.push(date('RECURRENCE-ID', elem.recurrenceId, elem.allDay));
+
+        if (elem.rrule) {
+          lines.push('RRULE:' + elem.rrule);
+
+          if (elem.exdate && elem.exdate.length > 0) {
+            lines.push('EXDATE' + (elem.allDay ? ';VALUE=DATE:' : ':') + elem.exdate.map(function(exdate) {
+              return elem.allDay ? formatDate(exdate) : formatDateTime(exdate);
+            }).join(','));
+          }
+        }
+
+        lines.push('END:VEVENT');
+
+        return lines.map(line).join('\r\n');
+      };
+
+      var uid = function(elem, i) {
+        return elem.id !== undefined ? String(elem.id) : 'd3-gantt-' + i + '-' + (+elem.start);
+      };
+
+      var events = [];
+
+      this.params.data.filter(function(elem) {
+        return !elem.recurrenceId;
+      }).concat(this.recurrences || []).forEach(function(elem, i) {
+        if (!elem.end) elem = $.extend({}, elem, { end: new Date(+elem.start + (elem.duration || 0)) });
+
+        var duration = elem.end - elem.start;
+
+        events.push(event(elem, uid(elem, i)));
+
+        (elem.rrule ? elem.overrides || [] : []).forEach(function(override) {
+          var occurrence = $.extend({ allDay: elem.allDay, activity: elem.activity, text: elem.text }, override);
+
+          occurrence.start = occurrence.start || override.recurrenceId;
+          occurrence.end = occurrence.end || new Date(+occurrence.start + duration);
+
+          events.push(event(occurrence, uid(elem, i)));
+        });
+      });
+
+      var header = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//d3-gantt//EN', 'CALSCALE:GREGORIAN'];
+
+      if (options.name) header.push('X-WR-CALNAME:' + escape(options.name));
+
+      return header.map(line).concat(events, ['END:VCALENDAR']).join('\r\n') + '\r\n';
+    },
+
+
+    /**
+     * Converts a Mermaid (Day.js) date format into a d3 time format, e.g. 'YYYY-MM-DD HH:mm' into '%Y-%m-%d %H:%M'.
+     *
+     * @param format {string} Mermaid date format
+     * @return {string} d3 time format
+     */
+    mermaidDateFormat: function(format) {
+      var tokens = {
+        YYYY: '%Y', YY: '%y', MMMM: '%B', MMM: '%b', MM: '%m', M: '%-m', DD: '%d', D: '%-d', dddd: '%A', ddd: '%a',
+        HH: '%H', H: '%-H', hh: '%I', h: '%-I', mm: '%M', m: '%-M', ss: '%S', s: '%-S', SSS: '%L', A: '%p', a: '%p',
+        ZZ: '%Z', Z: '%Z', X: '%s', x: '%Q'
+      };
+
+      return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z|X|x|%/g, function(token, literal) {
+        if (literal !== undefined) return literal.replace(/%/g, '%%');
+        return token === '%' ? '%%' : tokens[token];
+      });
+    },
+
+
+    /**
+     * Converts a Mermaid `gantt` diagram into parameters for `init`.
+     *
+     * Sections become activities containing one activity per task. Tasks are scheduled from their durations
+     * (e.g. '3d', '1w', '24h'), `after` dependencies and start dates, skipping the days listed by `excludes`.
+     * The tags 'done' and 'milestone' set the progress and the type of a data point, all tags are kept in `tags`.
+     * `axisFormat` and `tickInterval` are applied to the x axis.
+     *
+     * @param text {string} Mermaid diagram
+     * @return {object} parameters with `activities`, `data`, `calendar`, `scheduling` and `xAxis`, as well as `title`,
+     *                  and `errors` listing the lines that could not be converted as {type: 'invalid-line', message, item, index}
+     */
+    fromMermaid: function(text) {
+      var weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+      var units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+      var intervals = { millisecond: d3.timeMillisecond, second: d3.timeSecond, minute: d3.timeMinute, hour: d3.timeHour,
+                        day: d3.timeDay, week: d3.timeWeek, month: d3.timeMonth };
+
+      var dateFormat = this.mermaidDateFormat('YYYY-MM-DD');
+      var excludes = [];
+      var inclusiveEndDates = false;
+      var params = { activities: [], data: [], scheduling: { enabled: true }, xAxis: {}, errors: [] };
+      var names = {};
+      var section = null;
+      var previous = null;
+
+      // dates are only accepted if they match the format exactly, e.g. months above 12 are rejected
+      var parseDate = function(value) {
+        var date = d3.timeParse(dateFormat)(value);
+        return date && d3.timeFormat(dateFormat)(date) === value ? date : null;
+      };
+
+      var duration = function(value) {
+        var match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)$/.exec(value);
+        return match ? parseFloat(match[1]) * units[match[2]] : undefined;
+      };
+
+      var addActivity = function(name, parent) {
+        var unique = uniqueName(name, names);
+
+        params.activities.push(parent ? { name: unique, parent: parent } : { name: unique });
+
+        return unique;
+      };
+
+      text.split(/\r?\n/).forEach(function(line, i) {
+        var fail = function(message) {
+          params.errors.push({ type: 'invalid-line', message: 'Line ' + (i + 1) + ': ' + message, item: line, index: i + 1 });
+        };
+
+        line = line.replace(/%%.*$/, '').trim();
+
+        var keyword = /^(\w+)\s*(.*)$/.exec(line);
+
+        if (line === '' || line === 'gantt') return;
+
+        switch (keyword && keyword[1]) {
+          case 'title':
+            params.title = keyword[2];
+            return;
+          case 'dateFormat':
+            dateFormat = this.mermaidDateFormat(keyword[2]);
+            return;
+          case 'axisFormat':
+            params.xAxis.label = { format: keyword[2] };
+            return;
+          case 'tickInterval':
+            var tick = /^(\d+)(millisecond|second|minute|hour|day|week|month)$/.exec(keyword[2]);
+            if (tick) params.xAxis.interval = intervals[tick[2]].every(parseInt(tick[1], 10));
+            return;
+          case 'excludes':
+            excludes = excludes.concat(keyword[2].split(/[\s,]+/));
+            return;
+          case 'inclusiveEndDates':
+            inclusiveEndDates = true;
+            return;
+          case 'section':
+            section = addActivity(keyword[2]);
+            return;
+          case 'todayMarker': case 'weekday': case 'click': case 'accTitle': case 'accDescr': case 'displayMode':
+            return;
+        }
+
+        var separator = line.indexOf(':');
+
+        if (separator < 0) return fail('expected a task of the form "name : metadata"');
+
+        var name = line.slice(0, separator).trim();
+        var items = line.slice(separator + 1).split(',').map(function(item) {
+          return item.trim();
+        });
+
+        var elem = { id: 'task' + (params.data.length + 1), text: name };
+        var tags = [];
+
+        while (['done', 'active', 'crit', 'milestone'].indexOf(items[0]) >= 0) tags.push(items.shift());
+
+        // the metadata consists of [id,] [start,] end
+        if (items.length > 2) elem.id = items.shift();
+
+        var end = items.pop();
+        var start = items.pop();
+
+        if (start === undefined) {
+          if (previous) elem.dependsOn = [previous];
+        } else if (/^after\s/.test(start)) {
+          elem.dependsOn = start.split(/\s+/).slice(1);
+        } else {
+          var startDate = parseDate(start);
+
+          if (!startDate) return fail('start "' + start + '" does not match the date format');
+
+          elem.start = startDate;
+          elem.constraint = { type: 'SNET', date: startDate };
+        }
+
+        if (duration(end) !== undefined) {
+          elem.duration = duration(end);
+        } else {
+          var endDate = parseDate(end);
+
+          if (!endDate) return fail('end "' + end + '" is neither a duration nor a date');
+
+          elem.end = inclusiveEndDates ? d3.timeDay.offset(endDate, 1) : endDate;
+
+          // tasks without start date start after their predecessors and last until the given date
+          if (!elem.start) elem.fixedEnd = elem.end;
+        }
+
+        if (tags.length > 0) elem.tags = tags;
+        if (tags.indexOf('done') >= 0) elem.progress = 1;
+        if (tags.indexOf('milestone') >= 0) elem.type = 'milestone';
+
+        elem.activity = addActivity(name, section);
+        params.data.push(elem);
+        previous = elem.id;
+      }, this);
+
+      // excluded days become the non-working time of the calendar
+      if (excludes.length > 0) {
+        var workingDays = d3.range(7).filter(function(day) {
+          return excludes.indexOf(weekdays[day]) < 0 && !(excludes.indexOf('weekends') >= 0 && (day === 0 || day === 6));
+        });
+
+        params.calendar = {
+          workingDays: workingDays,
+          holidays: excludes.map(function(value) {
+            return parseDate(value);
+          }).filter(function(date) {
+            return date;
+          })
+        };
+      }
+
+      return params;
+    },
+
+
+    /**
+     * Converts the data points of the chart into a Mermaid `gantt` diagram.
+     *
+     * Top-level activities become sections containing one task per data point of the activity and its descendants.
+     * Dependencies are written as `after` if a task starts at the end of its predecessors.
+     *
+     * @param options {object} `title` of the diagram; optional
+     * @return {string} Mermaid diagram
+     */
+    toMermaid: function(options) {
+      options = $.extend({ title: null }, options);
+
+      var data = this.params.data;
+
+      // dates only contain times if necessary
+      var withTime = data.some(function(elem) {
+        return +d3.timeDay.floor(elem.start) !== +elem.start || +d3.timeDay.floor(elem.end) !== +elem.end;
+      });
+
+      var dateFormat = withTime ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD';
+      var formatDate = d3.timeFormat(this.mermaidDateFormat(dateFormat));
+      var weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+      var lines = ['gantt'];
+
+      if (options.title) lines.push('    title ' + options.title);
+
+      lines.push('    dateFormat ' + dateFormat);
+      lines.push('    axisFormat ' + this.params.xAxis.label.format);
+
+      var calendar = this.params.calendar;
+
+      if (calendar) {
+        var workingDays = calendar.workingDays || d3.range(7);
+        var excludes = weekdays.filter(function(day, i) {
+          return workingDays.indexOf(i) < 0;
+        });
+
+        if (excludes.indexOf('saturday') >= 0 && excludes.indexOf('sunday') >= 0) {
+          excludes = ['weekends'].concat(excludes.filter(function(day) { return day !== 'saturday' && day !== 'sunday'; }));
+        }
+
+        excludes = excludes.concat((calendar.holidays || []).map(function(date) {
+          return d3.timeFormat('%Y-%m-%d')(date);
+        }));
+
+        if (excludes.length > 0) lines.push('    excludes ' + excludes.join(', '));
+      }
+
+      // ids of tasks have to be identifiers
+      var ids = new Map();
+
+      data.forEach(function(elem, i) {
+        ids.set(elem, elem.id !== undefined && /^[A-Za-z_][\w-]*$/.test(elem.id) ? String(elem.id) : 'task' + (i + 1));
+      });
+
+      var links = this.dependencyLinks();
+      var isMilestone = this.isMilestone.bind(this);
+
+      // tasks starting after their predecessors keep their working time as duration, e.g. '2d' or '4h'
+      var units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000], ['ms', 1]];
+
+      var duration = function(elem) {
+        var milliseconds = Math.round(this.elementDuration(elem));
+        var unit = units.find(function(unit) {
+          return milliseconds % unit[1] === 0;
+        });
+
+        return milliseconds / unit[1] + unit[0];
+      }.bind(this);
+
+      var task = function(elem) {
+        var tags = (elem.tags || []).filter(function(tag) {
+          return tag === 'active' || tag === 'crit';
+        });
+
+        if (elem.progress >= 1) tags.unshift('done');
+        if (isMilestone(elem)) tags.push('milestone');
+
+        var predecessors = links.filter(function(link) {
+          return link.target === elem && link.type === 'FS' && link.lag === 0;
+        });
+
+        var after = predecessors.length > 0 && +d3.max(predecessors, function(link) { return link.source.end; }) === +elem.start;
+        var start = after ? 'after ' + predecessors.map(function(link) { return ids.get(link.source); }).join(' ') :
+                            formatDate(elem.start);
+        var end = isMilestone(elem) ? '0d' :
+                  (elem.fixedEnd instanceof Date ? formatDate(elem.fixedEnd) : (after ? duration(elem) : formatDate(elem.end)));
+
+        // colons would end the name of the task
+        var name = String(elem.text || elem.activity).replace(/:/g, '#58;');
+
+        return '    ' + name + ' :' + tags.concat([ids.get(elem), start, end]).join(', ');
+      };
+
+      // sections for the top-level activities
+      this.activityTree().forEach(function(node) {
+        var names = [];
+
+        var collect = function(node) {
+          names.push(node.activity.name);
+          node.children.forEach(collect);
+        };
+
+        collect(node);
+
+        var elements = data.filter(function(elem) {
+          return names.indexOf(elem.activity) >= 0;
+        });
+
+        if (elements.length === 0) return;
+
+        lines.push('    section ' + node.activity.name);
+        elements.forEach(function(elem) {
+          lines.push(task(elem));
+        });
+      });
+
+      return lines.join('\n') + '\n';
+    },
+
+
+    /**
+     * Converts a GanttProject document (.gan) into parameters for `init`.
+     *
+     * Task groups become nested activities, all other tasks become an activity with a single data point.
+     * Tasks are scheduled from their start dates and durations in working days according to the calendar of the project.
+     * Milestones, dependencies with their lag in days, completion, colors, notes and resource allocations are taken over.
+     *
+     * @param xmlString {string} GanttProject document
+     * @return {object} parameters with `activities`, `data`, `calendar` and `scheduling`
+     */
+    fromGanttProject: function(xmlString) {
+      var project = $($.parseXML(xmlString)).children('project');
+      var parseDate = d3.timeParse('%Y-%m-%d');
+      var dependencyTypes = { 1: 'SS', 2: 'FS', 3: 'FF', 4: 'SF' };
+      var day = 86400000;
+
+      // days marked with '1' in the default week are weekend days
+      var week = project.children('calendars').find('default-week').first();
+      var calendar = {
+        workingDays: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(function(name, i) {
+          return week.attr(name) === '1' ? -1 : i;
+        }).filter(function(i) {
+          return i >= 0;
+        }),
+        holidays: project.children('calendars').find('date').filter(function() {
+          return ($(this).attr('type') || 'HOLIDAY') === 'HOLIDAY';
+        }).map(function() {
+          return new Date(parseInt($(this).attr('year'), 10), parseInt($(this).attr('month'), 10) - 1,
+                          parseInt($(this).attr('date'), 10));
+        }).get()
+      };
+
+      var resources = {};
+
+      project.children('resources').children('resource').each(function() {
+        resources[$(this).attr('id')] = $(this).attr('name');
+      });
+
+      var allocations = {};
+
+      project.children('allocations').children('allocation').each(function() {
+        var resource = resources[$(this).attr('resource-id')];
+        var task = $(this).attr('task-id');
+
+        if (resource !== undefined) allocations[task] = (allocations[task] || []).concat([resource]);
+      });
+
+      // dependencies are stored at the predecessor
+      var dependencies = {};
+
+      project.children('tasks').find('task').each(function() {
+        var predecessor = $(this).attr('id');
+
+        $(this).children('depend').each(function() {
+          var successor = $(this).attr('id');
+
+          dependencies[successor] = (dependencies[successor] || []).concat([{
+            id: predecessor,
+            type: dependencyTypes[$(this).attr('type')] || 'FS',
+            lag: (parseFloat($(this).attr('difference')) || 0) * day
+          }]);
+        });
+      });
+
+      var activities = [];
+      var data = [];
+      var names = {};
+
+      var addTask = function(task, parent) {
+        var id = task.attr('id');
+        var children = task.children('task');
+
+        // activity names have to be unique
+        var name = uniqueName(task.attr('name') || id, names);
+
+        var activity = { name: name };
+
+        if (parent) activity.parent = parent;
+        if (task.children('notes').text()) activity.description = task.children('notes').text();
+
+        activities.push(activity);
+
+        if (children.length > 0) {
+          children.each(function() {
+            addTask($(this), name);
+          });
+          return;
+        }
+
+        var start = parseDate(task.attr('start'));
+        var elem = {
+          id: id,
+          activity: name,
+          text: task.attr('name'),
+          start: start,
+          duration: task.attr('meeting') === 'true' ? 0 : (parseFloat(task.attr('duration')) || 0) * day,
+          constraint: { type: 'SNET', date: start }
+        };
+
+        if (task.attr('meeting') === 'true') elem.type = 'milestone';
+        if (task.attr('complete') !== undefined) elem.progress = parseFloat(task.attr('complete')) / 100;
+        if (task.attr('color')) elem.fillColor = task.attr('color');
+        if (dependencies[id]) elem.dependsOn = dependencies[id];
+        if (allocations[id]) elem.resources = allocations[id];
+
+        data.push(elem);
+      };
+
+      project.children('tasks').children('task').each(function() {
+        addTask($(this));
+      });
+
+      return {
+        activities: activities,
+        data: data,
+        calendar: calendar,
+        scheduling: { enabled: true }
+      };
+    }
+  });
+}));
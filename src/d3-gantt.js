@@ -24,8 +24,31 @@
      * @property node {string} ID of the element the gantt chart will be bound to
      * @property width {number} chart width
      * @property height {number} chart height
-     * @property activities {array} activties that will be displayed on the y axis
-     * @property data {array} data points
+     * @property activities {array} activties that will be displayed on the y axis;
+                                    activities can be nested using `children` or by referencing a `parent` activity by name,
+                                    groups with `collapsed: true` show a summary bar instead of their descendants;
+                                    if empty, the activities are derived from the data points
+     * @property activityOrder {string|function} order of activities derived from the data points: 'appearance', 'alphabetical',
+                                                'start' (earliest start first) or a comparator function of two activity names
+     * @property data {array} data points; data points without `end` or with `end: 'now'` are ongoing and extend to the current time;
+                              data points with an iCalendar `rrule` are expanded into their occurrences
+     * @property startAccessor {function} returns the start of a data point
+     * @property endAccessor {function} returns the end of a data point
+     * @property activityAccessor {function} returns the name of the activity of a data point
+     * @property labelAccessor {function} returns the text displayed within a data point
+     * @property colorAccessor {function} returns the fill color of a data point
+     * @property dateFormat {string} d3.timeParse format of dates given as strings; ISO 8601 is used if not set or if parsing fails.
+                                     Numbers are interpreted as milliseconds since epoch, or as seconds if they are below 10^11
+     * @property timeZone {string} time zone used for the x axis, its labels and calendars: 'UTC' or an IANA time zone name
+                                   such as 'Europe/Berlin'; local time is used if not set.
+                                   If set, `xAxis.interval` should be a UTC interval such as `d3.utcHour.every(1)`
+     * @property editable {boolean} true if elements can be modified interactively
+     * @property onError {function} called with the list of problems found by `validate` during initialization;
+                                    problems are logged as warnings if not set
+     * @property calendar {object} working time of the chart; non-working time is shaded and skipped by scheduling.
+                                   `workingDays` lists the working weekdays (0 = Sunday), `workingHours` the working [from, to] hours of a day
+                                   and `holidays` the non-working dates, e.g. {workingDays: [1, 2, 3, 4, 5], workingHours: [[8, 12], [13, 17]], holidays: []};
+                                   activities can define a different `calendar` that also applies to nested activities
      * @property endTime {date} maximum timestamp displayed on the x axis
      * @property startTime {date} minimum timestamp (first) displayed on the x axis
      * @property yAxis.width {number} width of the y axis
@@ -33,30 +56,82 @@
                                                true if elements should have a specific height and the chart height should be calculated accordingly
                                                (in this case property `height` is ignored)
      * @property yAxis.elementHeight {number} height of the elements if `yAxis.dynamicHeight` is true
+     * @property yAxis.overlap {string} handling of overlapping elements of the same activity:
+                                        'stack' splits the row into lanes and increases its height accordingly,
+                                        'offset' keeps elements overlapping but shifts and fades later elements,
+                                        'none' draws elements on top of each other
+     * @property yAxis.overlapOffset {number} shift of overlapping elements relative to the element height if `yAxis.overlap` is 'offset'
+     * @property yAxis.indent {number} indentation per level of nested activities
      * @property xAxis.height {number} height of the x axis
      * @property xAxis.dynamicWidth {number} false if `width` is used as the chart width;
                                              true if ticks on the x axis should have a specific distance
                                              (in this case `width` is ignored)
      * @property xAxis.tickDistance {number} distance between two ticks if `dynamicWidth` is true
      * @property xAxis.interval {function} d3 interval function that determines the time interval on the x axis
+     * @property xAxis.collapseNonWorkingTime {boolean} true if the non-working time of `calendar` should be removed from the x axis
      * @property xAxis.label.format {string} format describing how the dates should be formatted
      * @property xAxis.label.rotation {number} rotation angle of the labels
      * @property xAxis.label.dx {string} x shift of the labels
      * @property xAxis.label.dy {string} y shift of the labels
+     * @property xAxis.tiers {array} stacked header tiers from top to bottom replacing the rotated labels, e.g.
+                                      `[{interval: d3.timeMonth, format: '%B %Y'}, {interval: d3.timeDay, format: '%d'}]`;
+                                      the cells of each tier span its intervals
+                                      instead of an interval, a tier can have a `type` ('isoWeek', 'quarter' or 'fiscalYear')
+                                      or named `periods` such as sprints (`[{name: 'Sprint 12', start, end}]`);
+                                      `shade: true` shades alternating cells of a tier in the chart
+     * @property xAxis.tierHeight {number} height of each tier if `xAxis.tiers` is set
+     * @property xAxis.fiscalStartMonth {number} month in which the fiscal year starts (1 = January) used by 'quarter' and
+                                                 'fiscalYear' tiers; fiscal years are named after the year in which they end
+     * @property xAxis.secondary.timeZone {string} time zone of a second axis row showing the same ticks, e.g. 'UTC',
+                                                   an IANA time zone name or 'local'; no second row is shown if not set
+     * @property xAxis.secondary.format {string} format of the labels of the second row, `xAxis.label.format` is used if not set
+     * @property dependencies.offset {number} horizontal distance between an element and the bend of a dependency arrow
+     * @property dependencies.arrowSize {number} size of the arrow heads of dependencies
+     * @property milestones.size {number} height of the milestone diamonds relative to the element height
+     * @property milestones.labelOffset {number} distance between a milestone diamond and its label
+     * @property progress.showLabel {boolean} true if the percentage of completion should be appended to the labels
+     * @property progress.handleWidth {number} width of the handle for changing the progress if `editable` is true
+     * @property progress.onChange {function} called with the element data after the progress has been changed using the handle
+     * @property baseline.height {number} height of the baseline bars relative to the element height
+     * @property criticalPath.highlight {boolean} true if elements and dependencies on the critical path should be highlighted
+     * @property criticalPath.fillColor {string} fill color of critical elements; the color of the element is kept if not set
+     * @property criticalPath.strokeColor {string} stroke color of critical elements
+     * @property criticalPath.showFloat {boolean} true if the total float of elements should be displayed as whisker after the elements
+     * @property ongoing.refreshInterval {number} milliseconds after which the chart is re-drawn to extend ongoing elements; 0 disables updates
+     * @property ongoing.tailWidth {number} width of the tail indicating ongoing elements relative to the element height
+     * @property recurrence.maxOccurrences {number} maximum number of occurrences created for a recurring data point
+     * @property scheduling.enabled {boolean} true if start and end of the data points should be calculated
+                                              from their `duration`, dependencies and `constraint`
+     * @property scheduling.start {date} earliest start of all elements if scheduling is enabled;
+                                         defaults to the earliest `start` or constraint date of the data points
      */
     defaultParameters: {
       node: '#gantt',
       width: 200,
       height: 200,
       activities: [],
+      activityOrder: 'appearance',
       data: [],
+      startAccessor: function(elem) { return elem.start; },
+      endAccessor: function(elem) { return elem.end; },
+      activityAccessor: function(elem) { return elem.activity; },
+      labelAccessor: function(elem) { return elem.text; },
+      colorAccessor: function(elem) { return elem.fillColor; },
+      dateFormat: null,
+      timeZone: null,
+      editable: false,
+      onError: null,
+      calendar: null,
       endTime: new Date(),
       startTime: new Date(),
 
       yAxis: {
         width: 15,
         dynamicHeight: true,
-        elementHeight: 50
+        elementHeight: 50,
+        overlap: 'stack',
+        overlapOffset: 0.25,
+        indent: 12
       },
 
       xAxis: {
@@ -64,164 +139,2345 @@
         dynamicWidth: true,
         tickDistance: 50,
         interval: d3.timeMinute.every(15),
+        collapseNonWorkingTime: false,
         label: {
           format: '%H:%M',
           rotation: -90,
           dx: '-1em',
           dy: '-1em'
+        },
+        tiers: null,
+        tierHeight: 20,
+        fiscalStartMonth: 1,
+        secondary: {
+          timeZone: null,
+          format: null
         }
+      },
+
+      dependencies: {
+        offset: 10,
+        arrowSize: 5
+      },
+
+      milestones: {
+        size: 0.6,
+        labelOffset: 5
+      },
+
+      progress: {
+        showLabel: false,
+        handleWidth: 6,
+        onChange: null
+      },
+
+      baseline: {
+        height: 0.25
+      },
+
+      criticalPath: {
+        highlight: false,
+        fillColor: null,
+        strokeColor: 'rgb(220, 0, 0)',
+        showFloat: false
+      },
+
+      ongoing: {
+        refreshInterval: 60000,
+        tailWidth: 0.4
+      },
+
+      recurrence: {
+        maxOccurrences: 1000
+      },
+
+      scheduling: {
+        enabled: false,
+        start: null
+      }
+    },
+
+
+    /**
+     * Initializes the gantt chart.
+     *
+     * Determines the time domain and sets configuration parameters.
+     * If scheduling is enabled, start and end of the data points are calculated first.
+     *
+     * @param params {object} user defined parameters that will overwrite the default parameters
+     */
+    init: function(params) {
+      // get and store the user defined parameters without modifying the default parameters
+      this.params = $.extend(true, {}, this.defaultParameters, params);
+      this.applyAccessors();
+      this.parseDates();
+      this.activityTree();
+      this.updateOngoing();
+      this.expandRecurrences(params && this.parseDate(params.startTime), params && this.parseDate(params.endTime));
+
+      if (this.params.scheduling.enabled) {
+        // the project start is determined by the given dates only, not by the dates calculated by scheduling
+        this.scheduleStart = d3.min(this.params.data, function(elem) { return elem.start; });
+        this.schedule();
+      }
+
+      if (this.params.activities.length === 0) {
+        this.params.activities = this.deriveActivities();
+        this.activityTree();
+      }
+
+      // data points with problems are not displayed
+      var validation = this.validate();
+
+      if (!validation.valid) {
+        this.params.data = this.params.data.filter(function(elem) {
+          return !validation.errors.some(function(error) { return error.item === elem; });
+        });
+
+        if (this.params.onError) {
+          this.params.onError(validation.errors);
+        } else {
+          console.warn('d3.ganttChart: invalid parameters', validation.errors);
+        }
+      }
+
+      this.updateTimeDomain();
+    },
+
+
+    /**
+     * Creates the activities from the distinct `activity` values of the data points.
+     *
+     * The activities are ordered according to `activityOrder`.
+     *
+     * @return {array} activities of the form {name}
+     */
+    deriveActivities: function() {
+      var names = [];
+      var starts = {};
+
+      this.params.data.forEach(function(elem) {
+        if (elem.activity === undefined) return;
+
+        if (names.indexOf(elem.activity) < 0) names.push(elem.activity);
+
+        if (elem.start instanceof Date && (starts[elem.activity] === undefined || elem.start < starts[elem.activity])) {
+          starts[elem.activity] = elem.start;
+        }
+      });
+
+      var order = this.params.activityOrder;
+
+      if (typeof order === 'function') {
+        names.sort(order);
+      } else if (order === 'alphabetical') {
+        names.sort(function(a, b) {
+          return String(a).localeCompare(String(b));
+        });
+      } else if (order === 'start') {
+        // stable with respect to the order of appearance
+        names = names.map(function(name, index) {
+          return { name: name, index: index };
+        }).sort(function(a, b) {
+          return (starts[a.name] - starts[b.name]) || (a.index - b.index);
+        }).map(function(entry) {
+          return entry.name;
+        });
+      }
+
+      return names.map(function(name) {
+        return { name: name };
+      });
+    },
+
+
+    /**
+     * Checks the parameters and data points for problems.
+     *
+     * Detects a missing chart node, duplicate activity names, references to unknown activities,
+     * dates that are not `Date` objects and data points ending before they start.
+     *
+     * @return {object} {valid, errors} where each error has a `type`, a `message`, and the offending `item` and its `index` if applicable
+     */
+    validate: function() {
+      var errors = [];
+      var names = {};
+
+      if ($(this.params.node).length === 0) {
+        errors.push({ type: 'missing-node', message: 'Node ' + this.params.node + ' does not exist' });
+      }
+
+      var checkActivity = function(activity, index) {
+        if (names[activity.name]) {
+          errors.push({ type: 'duplicate-activity', message: 'Activity ' + activity.name + ' is defined more than once', item: activity, index: index });
+        }
+
+        names[activity.name] = true;
+        (activity.children || []).forEach(checkActivity);
+      };
+
+      this.params.activities.forEach(checkActivity);
+
+      this.params.activities.forEach(function(activity, index) {
+        if (activity.parent !== undefined && !names[activity.parent]) {
+          errors.push({ type: 'unknown-activity', message: 'Parent ' + activity.parent + ' of activity ' + activity.name + ' does not exist', item: activity, index: index });
+        }
+      });
+
+      var isDate = function(value) {
+        return value instanceof Date && !isNaN(value.getTime());
+      };
+
+      this.params.data.forEach(function(elem, index) {
+        if (!names[elem.activity]) {
+          errors.push({ type: 'unknown-activity', message: 'Activity ' + elem.activity + ' does not exist', item: elem, index: index });
+        }
+
+        if (!isDate(elem.start) || !isDate(elem.end)) {
+          errors.push({ type: 'invalid-date', message: 'Start and end have to be valid dates', item: elem, index: index });
+        } else if (elem.end < elem.start) {
+          errors.push({ type: 'invalid-range', message: 'End is before start', item: elem, index: index });
+        }
+      });
+
+      return { valid: errors.length === 0, errors: errors };
+    },
+
+
+    /**
+     * Maps the data points to the properties used for drawing them by using the accessors.
+     *
+     * The values returned by the accessors are stored as `start`, `end`, `activity`, `text` and `fillColor` of the data points.
+     *
+     * @param data {array} data points; all data points of the chart by default
+     */
+    applyAccessors: function(data) {
+      var params = this.params;
+
+      (data || params.data).forEach(function(elem) {
+        var values = {
+          start: params.startAccessor(elem),
+          end: params.endAccessor(elem),
+          activity: params.activityAccessor(elem),
+          text: params.labelAccessor(elem),
+          fillColor: params.colorAccessor(elem)
+        };
+
+        $.extend(elem, values);
+      });
+    },
+
+
+    /**
+     * Converts a value to a date.
+     *
+     * @param value {date|number|string} date, milliseconds or seconds since epoch, or string in `dateFormat` or ISO 8601
+     * @param format {string} d3.timeParse format used instead of `dateFormat`
+     * @return {date} converted date (invalid if the value cannot be parsed); undefined and null are returned unchanged
+     */
+    parseDate: function(value, format) {
+      if (value === undefined || value === null || value instanceof Date) return value;
+
+      format = format !== undefined ? format : this.params.dateFormat;
+
+      // strings are parsed with the custom format first as it may consist of digits only, e.g. '%Y%m%d'
+      var date = format && typeof value === 'string' ? d3.timeParse(format)(value) : null;
+
+      if (date) return date;
+
+      if (typeof value === 'number' || /^-?\d+$/.test(value)) {
+        value = +value;
+        return new Date(Math.abs(value) < 1e11 ? value * 1000 : value);
+      }
+
+      return d3.isoParse(value) || new Date(NaN);
+    },
+
+
+    /**
+     * Converts all dates of the data points to `Date` objects.
+     *
+     * Concerns `start`, `end` (unless 'now'), `baselineStart`, `baselineEnd`, the date of the `constraint`,
+     * as well as the `exdate` and `overrides` of recurring data points.
+     *
+     * @param data {array} data points; all data points of the chart by default
+     */
+    parseDates: function(data) {
+      var parseDate = this.parseDate.bind(this);
+
+      var parseFields = function(elem) {
+        ['start', 'end', 'fixedEnd', 'baselineStart', 'baselineEnd', 'recurrenceId'].forEach(function(field) {
+          if (elem[field] !== undefined && elem[field] !== 'now') elem[field] = parseDate(elem[field]);
+        });
+      };
+
+      (data || this.params.data).forEach(function(elem) {
+        parseFields(elem);
+
+        if (elem.constraint && elem.constraint.date !== undefined) elem.constraint.date = parseDate(elem.constraint.date);
+        if (elem.exdate) elem.exdate = elem.exdate.map(parseDate);
+        if (elem.overrides) elem.overrides.forEach(parseFields);
+      });
+    },
+
+
+    /**
+     * Sets the end of ongoing data points to the current time.
+     *
+     * Data points without `end` or with `end: 'now'` are marked as `ongoing`, unless their end is calculated by scheduling.
+     * Milestones of type 'milestone' without `end` end at their `start`.
+     */
+    updateOngoing: function() {
+      var now = new Date();
+      var scheduled = this.params.scheduling.enabled;
+
+      this.params.data.forEach(function(elem) {
+        if (elem.type === 'milestone' && (elem.end === undefined || elem.end === null)) {
+          elem.end = elem.start;
+          return;
+        }
+
+        if (scheduled && typeof elem.duration === 'number' && elem.end !== 'now') return;
+        if (elem.end === undefined || elem.end === null || elem.end === 'now') elem.ongoing = true;
+        if (elem.ongoing) elem.end = now;
+      });
+    },
+
+
+    /**
+     * Replaces recurring data points by their occurrences.
+     *
+     * A recurring data point defines the first occurrence by `start` and `duration` (or `end`) and the recurrence by an
+     * iCalendar `rrule`, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'. Occurrences listed in `exdate` are left out,
+     * `overrides` contains objects with the `recurrenceId` (original start) of an occurrence and properties that replace those of the occurrence.
+     * Occurrences are created for the time range given by `startTime` and `endTime`. Without a time range, rules limited by
+     * COUNT or UNTIL are expanded completely and unlimited rules up to the end of the other data points or of their first occurrence.
+     * The recurring data points are kept in `recurrences`. Recurring data points without a valid `start` are not expanded
+     * but kept as data points, so that validation reports them.
+     *
+     * @param from {date} start of the time range; optional
+     * @param to {date} end of the time range; optional
+     */
+    expandRecurrences: function(from, to) {
+      var isRecurring = function(elem) {
+        return elem.rrule && elem.start instanceof Date && !isNaN(elem.start.getTime());
+      };
+
+      var data = this.params.data.filter(function(elem) {
+        return !isRecurring(elem);
+      });
+
+      this.recurrences = this.params.data.filter(isRecurring);
+
+      if (this.recurrences.length === 0) return;
+
+      var dataEnd = d3.max(data, function(elem) { return elem.end; });
+
+      this.recurrences.forEach(function(recurrence) {
+        var duration = typeof recurrence.duration === 'number' ? recurrence.duration : (recurrence.end ? recurrence.end - recurrence.start : 0);
+        var rule = this.parseRecurrenceRule(recurrence.rrule);
+        var excluded = (recurrence.exdate || []).map(function(date) { return date.getTime(); });
+        var limit = to;
+
+        if (!limit && !rule.count && !rule.until) {
+          // the limit is exclusive, the first occurrence is always kept
+          limit = new Date(Math.max(dataEnd || 0, recurrence.start.getTime() + Math.max(duration, 1)));
+        }
+
+        this.recurrenceDates(rule, recurrence.start, limit).forEach(function(start) {
+          if (excluded.indexOf(start.getTime()) >= 0) return;
+
+          var occurrence = $.extend({}, recurrence, {
+            start: start,
+            end: new Date(start.getTime() + duration),
+            recurrenceId: start
+          });
+
+          delete occurrence.id;
+          delete occurrence.rrule;
+          delete occurrence.exdate;
+          delete occurrence.overrides;
+
+          (recurrence.overrides || []).forEach(function(override) {
+            if (override.recurrenceId.getTime() === start.getTime()) $.extend(occurrence, override);
+          });
+
+          if (!from || occurrence.end > from) data.push(occurrence);
+        });
+      }, this);
+
+      this.params.data = data;
+    },
+
+
+    /**
+     * Parses an iCalendar date or date-time value, e.g. '20160606' or '20160606T070000Z'.
+     *
+     * Values without 'Z' are interpreted as local time or as wall-clock time in the given time zone.
+     *
+     * @param value {string} iCalendar date or date-time
+     * @param timeZone {string} IANA time zone name of the value (TZID); optional
+     * @return {date} parsed date, or undefined if the value is invalid
+     */
+    parseICalendarDate: function(value, timeZone) {
+      var match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+
+      if (!match) return undefined;
+
+      var parts = match.slice(1, 7).map(function(part) {
+        return parseInt(part || '0', 10);
+      });
+
+      if (match[7]) return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]));
+
+      if (timeZone) {
+        return this.fromZonedTime(new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5])), timeZone);
+      }
+
+      return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    },
+
+
+    /**
+     * Parses an iCalendar recurrence rule.
+     *
+     * Supports FREQ (HOURLY, DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH.
+     *
+     * @param rule {string} recurrence rule, e.g. 'FREQ=MONTHLY;BYDAY=-1FR'
+     * @return {object} {freq, interval, count, until, byDay, byMonthDay, byMonth} where `byDay` contains {weekday, n} objects
+     */
+    parseRecurrenceRule: function(rule) {
+      var weekdays = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+      var result = { freq: 'DAILY', interval: 1, byDay: [], byMonthDay: [], byMonth: [] };
+
+      var numbers = function(value) {
+        return value.split(',').map(function(number) {
+          return parseInt(number, 10);
+        });
+      };
+
+      rule.replace(/^RRULE:/i, '').split(';').forEach(function(part) {
+        var key = part.split('=')[0].toUpperCase();
+        var value = part.split('=')[1] || '';
+
+        switch (key) {
+          case 'FREQ':
+            result.freq = value.toUpperCase();
+            break;
+          case 'INTERVAL':
+            result.interval = parseInt(value, 10) || 1;
+            break;
+          case 'COUNT':
+            result.count = parseInt(value, 10);
+            break;
+          case 'UNTIL':
+            result.until = this.parseICalendarDate(value);
+            break;
+          case 'BYDAY':
+            result.byDay = value.toUpperCase().split(',').map(function(day) {
+              return { weekday: weekdays.indexOf(day.slice(-2)), n: parseInt(day.slice(0, -2), 10) || 0 };
+            });
+            break;
+          case 'BYMONTHDAY':
+            result.byMonthDay = numbers(value);
+            break;
+          case 'BYMONTH':
+            result.byMonth = numbers(value);
+            break;
+        }
+      }, this);
+
+      return result;
+    },
+
+
+    /**
+     * Determines the start dates of the occurrences of a recurrence rule.
+     *
+     * @param rule {object} recurrence rule as returned by `parseRecurrenceRule`
+     * @param start {date} start of the first occurrence
+     * @param limit {date} occurrences starting after this date are left out; optional
+     * @return {array} sorted start dates
+     */
+    recurrenceDates: function(rule, start, limit) {
+      var dates = [];
+      var maxOccurrences = this.params.recurrence.maxOccurrences;
+
+      // occurrences keep the time of day of the first occurrence
+      var at = function(year, month, day) {
+        return new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+      };
+
+      // days of a month matching BYMONTHDAY or BYDAY, or the day of the first occurrence
+      var monthDays = function(year, month) {
+        var daysInMonth = new Date(year, month + 1, 0).getDate();
+        var days = [];
+
+        if (rule.byMonthDay.length > 0) {
+          days = rule.byMonthDay.map(function(day) {
+            return day < 0 ? daysInMonth + day + 1 : day;
+          });
+        } else if (rule.byDay.length > 0) {
+          rule.byDay.forEach(function(byDay) {
+            var matching = d3.range(1 + (byDay.weekday - new Date(year, month, 1).getDay() + 7) % 7, daysInMonth + 1, 7);
+
+            if (byDay.n === 0) days = days.concat(matching);
+            else days.push(matching[byDay.n > 0 ? byDay.n - 1 : matching.length + byDay.n]);
+          });
+        } else {
+          days = [start.getDate()];
+        }
+
+        return days.filter(function(day) {
+          return day >= 1 && day <= daysInMonth;
+        }).map(function(day) {
+          return at(year, month, day);
+        });
+      };
+
+      var candidates = function(period) {
+        switch (rule.freq) {
+          case 'HOURLY':
+            return [d3.timeHour.offset(start, period)];
+          case 'WEEKLY':
+            var week = d3.timeMonday.offset(d3.timeMonday.floor(start), period);
+            var weekdays = rule.byDay.length > 0 ? rule.byDay.map(function(day) { return day.weekday; }) : [start.getDay()];
+
+            return weekdays.map(function(weekday) {
+              var day = d3.timeDay.offset(week, (weekday + 6) % 7);
+              return at(day.getFullYear(), day.getMonth(), day.getDate());
+            });
+          case 'MONTHLY':
+            var month = new Date(start.getFullYear(), start.getMonth() + period, 1);
+            return monthDays(month.getFullYear(), month.getMonth());
+          case 'YEARLY':
+            var months = rule.byMonth.length > 0 ? rule.byMonth.map(function(month) { return month - 1; }) : [start.getMonth()];
+
+            return d3.merge(months.map(function(month) {
+              return monthDays(start.getFullYear() + period, month);
+            }));
+          default:
+            return [d3.timeDay.offset(start, period)];
+        }
+      };
+
+      // BYMONTH restricts all frequencies, BYDAY and BYMONTHDAY restrict frequencies that do not expand them
+      var matches = function(date) {
+        return date >= start &&
+               (rule.byMonth.length === 0 || rule.byMonth.indexOf(date.getMonth() + 1) >= 0) &&
+               (rule.freq !== 'DAILY' && rule.freq !== 'HOURLY' || rule.byDay.length === 0 || rule.byDay.some(function(day) {
+                 return day.weekday === date.getDay();
+               })) &&
+               (rule.freq !== 'DAILY' && rule.freq !== 'HOURLY' || rule.byMonthDay.length === 0 || rule.byMonthDay.indexOf(date.getDate()) >= 0);
+      };
+
+      for (var period = 0; dates.length < maxOccurrences; period += rule.interval) {
+        var periodDates = candidates(period).filter(matches).sort(d3.ascending);
+
+        for (var i = 0; i < periodDates.length; i++) {
+          if ((rule.until && periodDates[i] > rule.until) || (limit && periodDates[i] >= limit)) return dates;
+          if (rule.count && dates.length >= rule.count) return dates;
+
+          dates.push(periodDates[i]);
+        }
+
+        // stop if no occurrence can be found within a reasonable amount of time
+        if (period > 100 * maxOccurrences) break;
+      }
+
+      return dates.slice(0, maxOccurrences);
+    },
+
+
+    /**
+     * Determines the time domain based on the earliest start and the latest end of the data points.
+     */
+    updateTimeDomain: function() {
+      if (this.params.data.length > 0) {
+        this.params.data.sort(function(a, b) {
+          return a.end - b.end;
+        });
+
+        this.params.endTime = this.params.data[this.params.data.length - 1].end;
+
+        this.params.data.sort(function(a, b) {
+          return a.start - b.start;
+        });
+
+        this.params.startTime = this.params.data[0].start;
+      }
+    },
+
+
+    /**
+     * Normalizes the type of a scheduling constraint.
+     *
+     * Accepts the abbreviations 'ASAP', 'SNET', 'MFO' as well as 'as-soon-as-possible', 'start-no-earlier-than' and 'must-finish-on'.
+     *
+     * @param type {string} type of the constraint
+     * @return {string} 'ASAP', 'SNET' or 'MFO'
+     */
+    constraintType: function(type) {
+      if (!type) return 'ASAP';
+
+      var abbreviation = type.indexOf('-') < 0 ? type.toUpperCase() : type.split('-').map(function(part) {
+        return part.charAt(0);
+      }).join('').toUpperCase();
+
+      return ['ASAP', 'SNET', 'MFO'].indexOf(abbreviation) >= 0 ? abbreviation : 'ASAP';
+    },
+
+
+    /**
+     * Returns the duration of a data point.
+     *
+     * @param elem {object} data point
+     * @return {number} `duration` in milliseconds, or the time between `start` and `end` if no duration is set
+     */
+    elementDuration: function(elem) {
+      if (typeof elem.duration === 'number') return elem.duration;
+
+      if (!(elem.start instanceof Date) || !(elem.end instanceof Date)) return 0;
+
+      return this.workingTimeBetween(this.activityCalendar(elem.activity), elem.start, elem.end);
+    },
+
+
+    /**
+     * Returns the calendar of an activity.
+     *
+     * @param name {string} name of the activity
+     * @return {object} calendar of the activity or of its closest group that has a calendar, otherwise the calendar of the chart
+     */
+    activityCalendar: function(name) {
+      for (var node = this.activityNodes[name]; node; node = node.parent) {
+        if (node.activity.calendar) return node.activity.calendar;
+      }
+
+      return this.params.calendar;
+    },
+
+
+    /**
+     * Determines the working time of a calendar within a time range.
+     *
+     * @param calendar {object} calendar definition; all time is working time if not set
+     * @param from {number} start of the time range in milliseconds
+     * @param to {number} end of the time range in milliseconds
+     * @return {array} sorted [start, end] pairs in milliseconds
+     */
+    workingIntervals: function(calendar, from, to) {
+      from = +from;
+      to = +to;
+
+      if (!calendar) return from < to ? [[from, to]] : [];
+
+      var workingDays = calendar.workingDays || [0, 1, 2, 3, 4, 5, 6];
+      var workingHours = calendar.workingHours || [[0, 24]];
+      var toZonedTime = this.toZonedTime.bind(this);
+      var fromZonedTime = this.fromZonedTime.bind(this);
+
+      // days are determined in the time zone of the chart
+      var holidays = (calendar.holidays || []).map(function(date) {
+        return d3.utcDay.floor(toZonedTime(date)).getTime();
+      });
+
+      var intervals = [];
+
+      d3.utcDay.range(d3.utcDay.floor(toZonedTime(from)), toZonedTime(to)).forEach(function(day) {
+        if (workingDays.indexOf(day.getUTCDay()) < 0 || holidays.indexOf(day.getTime()) >= 0) return;
+
+        workingHours.forEach(function(hours) {
+          // hours are applied as wall-clock time so that daylight saving time changes are respected
+          var start = fromZonedTime(d3.utcMinute.offset(day, Math.round(hours[0] * 60))).getTime();
+          var end = fromZonedTime(d3.utcMinute.offset(day, Math.round(hours[1] * 60))).getTime();
+
+          if (Math.max(start, from) < Math.min(end, to)) intervals.push([Math.max(start, from), Math.min(end, to)]);
+        });
+      });
+
+      return intervals;
+    },
+
+
+    /**
+     * Determines the non-working time of a calendar within a time range.
+     *
+     * @param calendar {object} calendar definition
+     * @param from {number} start of the time range in milliseconds
+     * @param to {number} end of the time range in milliseconds
+     * @return {array} sorted [start, end] pairs in milliseconds
+     */
+    nonWorkingIntervals: function(calendar, from, to) {
+      var intervals = [];
+      var time = +from;
+
+      this.workingIntervals(calendar, from, to).forEach(function(interval) {
+        if (interval[0] > time) intervals.push([time, interval[0]]);
+        time = Math.max(time, interval[1]);
+      });
+
+      if (time < +to) intervals.push([time, +to]);
+
+      return intervals;
+    },
+
+
+    /**
+     * Calculates the working time between two points in time.
+     *
+     * @param calendar {object} calendar definition
+     * @param from {number} first point in time in milliseconds
+     * @param to {number} second point in time in milliseconds
+     * @return {number} working time in milliseconds; negative if `to` is before `from`
+     */
+    workingTimeBetween: function(calendar, from, to) {
+      if (+to < +from) return -this.workingTimeBetween(calendar, to, from);
+
+      return d3.sum(this.workingIntervals(calendar, from, to), function(interval) {
+        return interval[1] - interval[0];
+      });
+    },
+
+
+    /**
+     * Adds working time to a point in time.
+     *
+     * Adding no working time moves the point in time to the next start of working time.
+     * Calendars without any working time within ten years are treated as if all time was working time.
+     *
+     * @param calendar {object} calendar definition
+     * @param time {number} point in time in milliseconds
+     * @param duration {number} working time in milliseconds; negative values are subtracted
+     * @return {number} resulting point in time in milliseconds
+     */
+    addWorkingTime: function(calendar, time, duration) {
+      if (!calendar) return +time + duration;
+
+      var direction = duration < 0 ? -1 : 1;
+      var remaining = Math.abs(duration);
+      var week = 7 * 24 * 60 * 60 * 1000;
+      var current = +time;
+
+      for (var i = 0; i < 520; i++) {
+        var from = direction > 0 ? current : current - week;
+        var to = direction > 0 ? current + week : current;
+        var intervals = this.workingIntervals(calendar, from, to);
+
+        if (direction < 0) intervals.reverse();
+
+        for (var j = 0; j < intervals.length; j++) {
+          var length = intervals[j][1] - intervals[j][0];
+
+          if (remaining <= length) {
+            return direction > 0 ? intervals[j][0] + remaining : intervals[j][1] - remaining;
+          }
+
+          remaining -= length;
+        }
+
+        current = direction > 0 ? to : from;
+      }
+
+      return +time + duration;
+    },
+
+
+    /**
+     * Calculates start and end of all data points based on their durations, dependencies and constraints.
+     *
+     * The forward pass places every element as soon as possible after `scheduling.start` and its predecessors.
+     * Without `scheduling.start`, the project starts at the earliest `start` given at initialization or constraint date.
+     * A constraint `{type: 'SNET', date}` delays the start of an element, `{type: 'MFO', date}` fixes its end;
+     * constraints without a valid date are ignored.
+     * Elements with a `fixedEnd` start after their predecessors and last until this date. Elements with an `end` but
+     * neither `start` nor `duration` get their `end` as `fixedEnd`, so that it is kept when rescheduling.
+     * Durations and lags are working time according to the calendar of the activity of an element.
+     * The backward pass of the critical path analysis then determines the late dates.
+     *
+     * @return {object} result of `analyzeSchedule` for the calculated dates
+     */
+    schedule: function() {
+      var links = this.dependencyLinks();
+      var scheduled = new Map();
+
+      var constraintDates = this.params.data.map(function(elem) {
+        return elem.constraint && elem.constraint.date;
+      });
+
+      var projectStart = this.params.scheduling.start ||
+                         d3.min(constraintDates.concat([this.scheduleStart])) ||
+                         new Date();
+
+      this.topologicalOrder(links).forEach(function(elem) {
+        var calendar = this.activityCalendar(elem.activity);
+        var duration = this.elementDuration(elem);
+        var constraint = elem.constraint && typeof elem.constraint === 'object' ? elem.constraint : { type: elem.constraint };
+        var constraintType = constraint.date instanceof Date && !isNaN(constraint.date) ? this.constraintType(constraint.type) : 'ASAP';
+        var start = projectStart.getTime();
+
+        if (!(elem.fixedEnd instanceof Date) && !(elem.start instanceof Date) && typeof elem.duration !== 'number' &&
+            elem.end instanceof Date) {
+          elem.fixedEnd = elem.end;
+        }
+
+        var fixedEnd = elem.fixedEnd instanceof Date ? elem.fixedEnd.getTime() : null;
+
+        links.forEach(function(link) {
+          var source = scheduled.get(link.source);
+
+          if (link.target !== elem || !source) return;
+
+          var time = this.addWorkingTime(calendar, link.type.charAt(0) === 'F' ? source.end : source.start, link.lag);
+
+          start = Math.max(start, link.type.charAt(1) === 'F' ? this.addWorkingTime(calendar, time, -duration) : time);
+        }, this);
+
+        switch (constraintType) {
+          case 'SNET':
+            start = Math.max(start, constraint.date.getTime());
+            break;
+          case 'MFO':
+            start = this.addWorkingTime(calendar, constraint.date, -duration);
+            break;
+        }
+
+        start = this.addWorkingTime(calendar, start, 0);
+
+        var end = fixedEnd !== null ? Math.max(start, fixedEnd) : this.addWorkingTime(calendar, start, duration);
+
+        scheduled.set(elem, { start: start, end: end });
+        elem.start = new Date(start);
+        elem.end = new Date(end);
+      }, this);
+
+      return this.analyzeSchedule();
+    },
+
+
+    /**
+     * Changes the properties of a data point and re-draws the chart.
+     *
+     * The accessors are applied to the changed data point again, e.g. a changed `begin` is used as `start` if
+     * `startAccessor` returns `begin`.
+     *
+     * If scheduling is enabled, all elements are re-scheduled so that successors of the changed element are moved accordingly.
+     * A changed `start` then becomes a start-no-earlier-than constraint of the element, unless its end is fixed by a
+     * must-finish-on constraint.
+     *
+     * Since `init` copies the given data, a data point passed as object is looked up by its `id` unless it is one of
+     * the chart's own data points (e.g. returned by `getCriticalPath`).
+     *
+     * @param elem {object} data point or `id` of the data point
+     * @param changes {object} properties that will overwrite the current properties of the data point
+     */
+    updateElement: function(elem, changes) {
+      if (this.params.data.indexOf(elem) === -1) {
+        var id = elem !== null && typeof elem === 'object' ? elem.id : elem;
+        elem = id === undefined ? undefined : this.params.data.find(function(x) { return x.id === id; });
+      }
+
+      if (!elem) return;
+
+      var previousStart = elem.start;
+
+      $.extend(elem, changes);
+      this.applyAccessors([elem]);
+
+      // properties that are changed directly take precedence over the values of the accessors
+      $.extend(elem, changes);
+      this.parseDates([elem]);
+
+      if (this.params.scheduling.enabled) {
+        var constraint = elem.constraint && typeof elem.constraint === 'object' ? elem.constraint : { type: elem.constraint };
+        var fixedEnd = this.constraintType(constraint.type) === 'MFO' && constraint.date instanceof Date;
+
+        if (+elem.start !== +previousStart && elem.start instanceof Date && !fixedEnd) {
+          elem.constraint = { type: 'SNET', date: elem.start };
+        }
+
+        this.schedule();
+      }
+
+      this.updateTimeDomain();
+      this.draw();
+    },
+
+
+    /**
+     * Displays axes and elements.
+     */
+    draw: function() {
+      // remove a previously drawn chart
+      d3.select(this.params.node).selectAll('*').remove();
+
+      this.layoutRows();
+
+      if (this.params.criticalPath.highlight || this.params.criticalPath.showFloat) {
+        this.analysis = this.analyzeSchedule();
+      } else {
+        this.analysis = null;
+      }
+
+      // only working time is displayed on the x axis if non-working time should be collapsed
+      if (this.params.xAxis.collapseNonWorkingTime && this.params.calendar) {
+        this.timeSegments = this.workingIntervals(this.params.calendar, this.params.startTime, this.params.endTime);
+      } else {
+        this.timeSegments = null;
+      }
+
+      // re-calculate the width of the diagram if explicit distance between ticks should be used
+      if (this.params.xAxis.dynamicWidth) {
+        var xScale = this.xAxisScale();
+        var numberOfTicks = xScale.breaks ? xScale.ticks(this.params.xAxis.interval).length :
+                                            this.params.xAxis.interval.range(this.params.startTime, this.params.endTime).length;
+        this.params.width = this.params.xAxis.tickDistance * numberOfTicks;
+      }
+
+      this.drawXAxis();
+      this.drawYAxis();
+      this.initTooltips();
+
+      // create a separate container in order to enable scrolling on overflow with fixed axes
+      var chartContainer = d3.select(this.params.node)
+                             .attr('class', 'gantt-chart')
+                             .append('div')
+                             .attr('class', 'gantt-chart-container')
+                             .attr('height', this.params.height)
+                             .attr('width', this.params.width)
+                             .attr('style', 'left: ' + this.params.yAxis.width + 'px');
+
+      var chartNode = chartContainer.append('svg')
+                                    .attr('preserveAspectRatio', 'xMinYMin meet')
+                                    .attr('class', 'chart')
+                                    .attr('width', this.params.width)
+                                    .attr('height', this.params.height);
+
+      this.drawPeriodShading(chartNode);
+      this.drawNonWorkingTime(chartNode);
+      this.drawDependencies(chartNode);
+
+      // display the elements based on the provided data
+      var element = chartNode.selectAll('svg')
+                             .data(this.elements).enter()
+                             .append('g')
+                             .attr('class', function(elem) {
+                               return this.elementClass(elem);
+                             }.bind(this))
+                             .attr('transform', function(elem) {
+                               return this.elementTranslate(elem);
+                             }.bind(this));
+
+      var isMilestone = this.isMilestone.bind(this);
+
+      element.filter(function(elem) { return !isMilestone(elem); })
+             .append('rect')
+             .attr('class', 'gantt-chart-bar')
+             .attr('fill', function(elem) {
+               if (elem.fillColor)
+                  return elem.fillColor;
+             })
+             .attr('stroke', function(elem) {
+               if (elem.strokeColor)
+                  return elem.strokeColor;
+             })
+             .attr('height', function(elem) {
+               return this.elementHeight(elem);
+             }.bind(this))
+             .attr('width', function(elem) {
+               return this.elementWidth(elem);
+             }.bind(this));
+
+      // milestones are displayed as diamonds centered on their point in time
+      element.filter(isMilestone)
+             .append('path')
+             .attr('class', 'gantt-chart-milestone')
+             .attr('fill', function(elem) {
+               if (elem.fillColor)
+                  return elem.fillColor;
+             })
+             .attr('stroke', function(elem) {
+               if (elem.strokeColor)
+                  return elem.strokeColor;
+             })
+             .attr('d', function(elem) {
+               return this.milestonePath(elem);
+             }.bind(this));
+
+      // the completed part of an element is displayed as a darker inner bar
+      var hasProgress = function(elem) {
+        return elem.progress !== undefined && !isMilestone(elem);
+      };
+
+      element.filter(hasProgress)
+             .append('rect')
+             .attr('class', 'gantt-chart-progress')
+             .attr('fill', function(elem) {
+               if (elem.progressColor)
+                  return elem.progressColor;
+               if (elem.fillColor)
+                  return d3.color(elem.fillColor).darker();
+             })
+             .attr('height', function(elem) {
+               return this.elementHeight(elem);
+             }.bind(this))
+             .attr('width', function(elem) {
+               return this.progressWidth(elem);
+             }.bind(this));
+
+      this.drawBaselines(element);
+      this.drawCriticalPath(element);
+
+      element.append('text')
+             .style('text-anchor', function(elem) { // labels of milestones are placed next to the diamond
+               return isMilestone(elem) ? 'start' : 'middle';
+             })
+             .attr('transform', function(elem) {
+               return this.elementLabelTranslate(elem);
+             }.bind(this))
+             .text(function(elem) { // show text within elements
+               return this.elementLabel(elem);
+             }.bind(this));
+
+      if (this.params.editable) {
+        this.drawProgressHandles(element.filter(function(elem) {
+          return hasProgress(elem) && !elem.summary;
+        }));
+      }
+
+      this.drawOngoing(element);
+      this.scheduleRefresh();
+    },
+
+
+    /**
+     * Displays arrow-shaped tails at the end of ongoing elements.
+     *
+     * @param element {object} d3 selection of the element groups
+     */
+    drawOngoing: function(element) {
+      element.filter(function(elem) { return elem.ongoing; })
+             .append('path')
+             .attr('class', 'gantt-chart-ongoing-tail')
+             .attr('fill', function(elem) {
+               if (elem.fillColor)
+                  return elem.fillColor;
+             })
+             .attr('d', function(elem) {
+               var x = this.elementWidth(elem);
+               var height = this.elementHeight(elem);
+
+               return 'M' + x + ',0L' + (x + height * this.params.ongoing.tailWidth) + ',' + (height / 2) + 'L' + x + ',' + height + 'Z';
+             }.bind(this));
+    },
+
+
+    /**
+     * Re-draws the chart after `ongoing.refreshInterval` if there are ongoing elements.
+     *
+     * A previously scheduled re-draw is cancelled.
+     */
+    scheduleRefresh: function() {
+      clearTimeout(this.refreshTimer);
+
+      var ongoing = this.params.data.some(function(elem) {
+        return elem.ongoing;
+      });
+
+      if (!ongoing || !this.params.ongoing.refreshInterval) return;
+
+      this.refreshTimer = setTimeout(function() {
+        this.updateOngoing();
+        this.updateTimeDomain();
+        this.draw();
+      }.bind(this), this.params.ongoing.refreshInterval);
+    },
+
+
+    /**
+     * Returns the label of an element.
+     *
+     * @param elem {object} element data
+     * @return {string} text of the element, followed by the percentage of completion if `progress.showLabel` is true
+     */
+    elementLabel: function(elem) {
+      if (!this.params.progress.showLabel || elem.progress === undefined) return elem.text;
+
+      var percentage = Math.round(elem.progress * 100) + '%';
+
+      return elem.text ? elem.text + ' (' + percentage + ')' : percentage;
+    },
+
+
+    /**
+     * Calculates the width of the completed part of an element.
+     *
+     * @param elem {object} element data
+     * @return {number} width of the progress bar
+     */
+    progressWidth: function(elem) {
+      return this.elementWidth(elem) * Math.max(0, Math.min(1, elem.progress));
+    },
+
+
+    /**
+     * Displays handles that allow changing the progress of elements by dragging.
+     *
+     * @param element {object} d3 selection of the element groups
+     */
+    drawProgressHandles: function(element) {
+      var handleWidth = this.params.progress.handleWidth;
+      var chart = this;
+
+      var drag = d3.drag()
+                   .subject(function(event, elem) {
+                     return { x: chart.progressWidth(elem), y: 0 };
+                   })
+                   .on('drag', function(event, elem) {
+                     var width = chart.elementWidth(elem);
+
+                     elem.progress = width > 0 ? Math.max(0, Math.min(1, event.x / width)) : 0;
+
+                     var group = d3.select(this.parentNode);
+
+                     group.select('.gantt-chart-progress').attr('width', chart.progressWidth(elem));
+                     group.select('text').text(chart.elementLabel(elem));
+                     d3.select(this).attr('x', chart.progressWidth(elem) - handleWidth / 2);
+                   })
+                   .on('end', function(event, elem) {
+                     if (chart.params.progress.onChange)
+                        chart.params.progress.onChange(elem);
+                   });
+
+      element.append('rect')
+             .attr('class', 'gantt-chart-progress-handle')
+             .attr('width', handleWidth)
+             .attr('height', function(elem) {
+               return this.elementHeight(elem);
+             }.bind(this))
+             .attr('x', function(elem) {
+               return this.progressWidth(elem) - handleWidth / 2;
+             }.bind(this))
+             .call(drag);
+    },
+
+
+    /**
+     * Calculates the x and y position of an element in the diagram.
+     *
+     * @param elem {object} element data of a data point
+     * @return {string} 'translate([x], [y])'
+     */
+    elementTranslate: function(elem) {
+      return 'translate(' + this.xAxisScale()(elem.start) + ', ' + this.elementY(elem) + ')';
+    },
+
+
+    /**
+     * Determines the CSS classes of an element.
+     *
+     * @param elem {object} element data
+     * @return {string} space separated class names
+     */
+    elementClass: function(elem) {
+      var classes = ['gantt-chart-element'];
+
+      if (elem.summary) classes.push('gantt-chart-summary');
+
+      if (this.params.criticalPath.highlight && this.analysis && this.analysis.has(elem) && this.analysis.get(elem).critical) {
+        classes.push('gantt-chart-critical');
+      }
+
+      // later elements overlapping others are faded
+      if (this.params.yAxis.overlap === 'offset' && this.lanes.get(elem) > 0) classes.push('gantt-chart-overlapping');
+
+      return classes.join(' ');
+    },
+
+
+    /**
+     * Builds the tree of nested activities.
+     *
+     * Activities are nested either by listing them in `children` or by referencing the name of the `parent` activity.
+     * All nodes are additionally stored by name in `activityNodes`.
+     *
+     * @return {array} root nodes of the form {activity, parent, children, depth}
+     */
+    activityTree: function() {
+      var nodes = {};
+
+      var createNode = function(activity, parent) {
+        var node = { activity: activity, parent: parent, children: [] };
+
+        nodes[activity.name] = node;
+        node.children = (activity.children || []).map(function(child) {
+          return createNode(child, node);
+        });
+
+        return node;
+      };
+
+      var roots = this.params.activities.map(function(activity) {
+        return createNode(activity, null);
+      }).filter(function(node) {
+        var parent = nodes[node.activity.parent];
+
+        if (!parent || parent === node) return true;
+
+        node.parent = parent;
+        parent.children.push(node);
+        return false;
+      });
+
+      var setDepth = function(node, depth) {
+        node.depth = depth;
+        node.children.forEach(function(child) {
+          setDepth(child, depth + 1);
+        });
+      };
+
+      roots.forEach(function(node) {
+        setDepth(node, 0);
+      });
+
+      this.activityNodes = nodes;
+
+      return roots;
+    },
+
+
+    /**
+     * Determines the activity whose row displays the elements of a specific activity.
+     *
+     * This is the outermost collapsed group containing the activity, or the activity itself if none of its ancestors is collapsed.
+     *
+     * @param name {string} name of the activity
+     * @return {object} node of the activity tree, or undefined for unknown activities
+     */
+    visibleActivity: function(name) {
+      var visible = this.activityNodes[name];
+
+      for (var node = visible; node; node = node.parent) {
+        if (node.activity.collapsed) visible = node;
+      }
+
+      return visible;
+    },
+
+
+    /**
+     * Collapses or expands a group of activities and re-draws the chart.
+     *
+     * @param name {string} name of the group
+     * @param collapsed {boolean} true to collapse, false to expand; toggles the current state if omitted
+     */
+    toggleActivity: function(name, collapsed) {
+      var node = this.activityNodes[name];
+
+      if (!node) return;
+
+      node.activity.collapsed = collapsed === undefined ? !node.activity.collapsed : collapsed;
+      this.draw();
+    },
+
+
+    /**
+     * Determines the elements that are displayed.
+     *
+     * Elements of activities within collapsed groups are replaced by one summary element per group
+     * that spans from the earliest start to the latest end of the contained elements.
+     */
+    layoutElements: function() {
+      var summaries = {};
+
+      this.elements = this.params.data.filter(function(elem) {
+        var visible = this.visibleActivity(elem.activity);
+
+        if (!visible || !visible.activity.collapsed) return true;
+
+        var summary = summaries[visible.activity.name];
+
+        if (!summary) {
+          summary = summaries[visible.activity.name] = { activity: visible.activity.name, start: elem.start, end: elem.end, summary: true };
+        } else {
+          summary.start = summary.start < elem.start ? summary.start : elem.start;
+          summary.end = summary.end > elem.end ? summary.end : elem.end;
+        }
+
+        if (this.hasBaseline(elem)) {
+          summary.baselineStart = summary.baselineStart < elem.baselineStart ? summary.baselineStart : elem.baselineStart;
+          summary.baselineEnd = summary.baselineEnd > elem.baselineEnd ? summary.baselineEnd : elem.baselineEnd;
+        }
+
+        return false;
+      }, this);
+
+      for (var name in summaries) {
+        this.elements.push(summaries[name]);
+      }
+    },
+
+
+    /**
+     * Assigns the elements of each activity to lanes and determines the position and height of the rows.
+     *
+     * Only activities that are not hidden within collapsed groups get a row.
+     * Elements are placed in the first lane of their activity that does not contain an overlapping element.
+     * Depending on `yAxis.overlap`, lanes are stacked within the row or used to shift overlapping elements.
+     * The chart height or the element height is re-calculated according to the number of lanes.
+     */
+    layoutRows: function() {
+      var overlap = this.params.yAxis.overlap;
+      var laneEnds = {};
+      var visibleNodes = [];
+
+      var addVisible = function(node) {
+        visibleNodes.push(node);
+
+        if (!node.activity.collapsed) node.children.forEach(addVisible);
+      };
+
+      this.activityTree().forEach(addVisible);
+      this.layoutElements();
+      this.lanes = new Map();
+
+      this.elements.slice().sort(function(a, b) {
+        return a.start - b.start;
+      }).forEach(function(elem) {
+        var ends = laneEnds[elem.activity] = laneEnds[elem.activity] || [];
+        var lane = 0;
+
+        if (overlap !== 'none') {
+          while (lane < ends.length && ends[lane] > elem.start) lane++;
+          ends[lane] = elem.end;
+        }
+
+        this.lanes.set(elem, lane);
+      }, this);
+
+      this.rows = visibleNodes.map(function(node) {
+        var name = node.activity.name;
+        var lanes = overlap === 'stack' && laneEnds[name] ? laneEnds[name].length : 1;
+
+        return { name: name, node: node, lanes: Math.max(lanes, 1) };
+      });
+
+      var numberOfLanes = d3.sum(this.rows, function(row) { return row.lanes; });
+
+      // re-calculate the height of the diagram if explicit height of elements should be used
+      if (this.params.yAxis.dynamicHeight) {
+        this.params.height = this.params.yAxis.elementHeight * numberOfLanes;
+      } else {
+        this.params.yAxis.elementHeight = numberOfLanes > 0 ? this.params.height / numberOfLanes : 0;
+      }
+
+      var y = 0;
+
+      this.rows.forEach(function(row) {
+        row.y = y;
+        row.height = row.lanes * this.params.yAxis.elementHeight;
+        y += row.height;
+      }, this);
+    },
+
+
+    /**
+     * Calculates the vertical position of an element based on its activity and lane.
+     *
+     * @param elem {object} element data
+     * @return {number} y position of the top of the element
+     */
+    elementY: function(elem) {
+      var laneOffset = this.params.yAxis.overlap === 'offset' ? this.overlapShift(elem) : (this.lanes.get(elem) || 0);
+
+      return this.yAxisScale()(elem.activity) + laneOffset * this.params.yAxis.elementHeight;
+    },
+
+
+    /**
+     * Calculates the shift of an overlapping element if `yAxis.overlap` is 'offset'.
+     *
+     * The shift is limited so that at least a quarter of the element height remains visible within the row.
+     *
+     * @param elem {object} element data
+     * @return {number} shift relative to the element height
+     */
+    overlapShift: function(elem) {
+      return Math.min(this.params.yAxis.overlapOffset * (this.lanes.get(elem) || 0), 0.75);
+    },
+
+
+    /**
+     * Calculates the height that is available for an element and its baseline.
+     *
+     * Elements that are shifted because of overlaps are shortened in order to stay within their row.
+     *
+     * @param elem {object} element data
+     * @return {number} height of the element including its baseline
+     */
+    elementOuterHeight: function(elem) {
+      if (this.params.yAxis.overlap !== 'offset') return this.params.yAxis.elementHeight;
+
+      return this.params.yAxis.elementHeight * (1 - this.overlapShift(elem));
+    },
+
+
+    /**
+     * Calculates the height of an element.
+     *
+     * @param elem {object} element data
+     * @return {number} height of the element without its baseline
+     */
+    elementHeight: function(elem) {
+      var height = this.elementOuterHeight(elem);
+
+      return this.hasBaseline(elem) ? height * (1 - this.params.baseline.height) : height;
+    },
+
+
+    /**
+     * Checks whether an element has a baseline.
+     *
+     * @param elem {object} element data
+     * @return {boolean} true if `baselineStart` and `baselineEnd` are set
+     */
+    hasBaseline: function(elem) {
+      return elem.baselineStart instanceof Date && elem.baselineEnd instanceof Date;
+    },
+
+
+    /**
+     * Stores the current start and end of all data points as their baseline.
+     *
+     * The baseline remains unchanged when elements are modified afterwards and allows comparing the current state with the original plan.
+     */
+    saveBaseline: function() {
+      this.params.data.forEach(function(elem) {
+        elem.baselineStart = new Date(elem.start.getTime());
+        elem.baselineEnd = new Date(elem.end.getTime());
+      });
+    },
+
+
+    /**
+     * Displays the baselines of elements as thin bars below the elements.
+     *
+     * @param element {object} d3 selection of the element groups
+     */
+    drawBaselines: function(element) {
+      var xScale = this.xAxisScale();
+      var baseline = element.filter(this.hasBaseline.bind(this));
+
+      var offset = function(elem) {
+        return xScale(elem.baselineStart) - xScale(elem.start);
+      };
+
+      var height = function(elem) {
+        return this.elementOuterHeight(elem) - this.elementHeight(elem);
+      }.bind(this);
+
+      // baselines of milestones are displayed as small diamonds
+      baseline.filter(this.isMilestone.bind(this))
+              .append('path')
+              .attr('class', 'gantt-chart-baseline')
+              .attr('d', function(elem) {
+                var x = offset(elem);
+                var top = this.elementHeight(elem);
+                var radius = height(elem) / 2;
+
+                return 'M' + x + ',' + top + 'L' + (x + radius) + ',' + (top + radius) + 'L' + x + ',' + (top + 2 * radius) + 'L' + (x - radius) + ',' + (top + radius) + 'Z';
+              }.bind(this));
+
+      baseline.filter(function(elem) { return !this.isMilestone(elem); }.bind(this))
+              .append('rect')
+              .attr('class', 'gantt-chart-baseline')
+              .attr('x', offset)
+              .attr('y', function(elem) {
+                return this.elementHeight(elem);
+              }.bind(this))
+              .attr('height', height)
+              .attr('width', function(elem) {
+                return xScale(elem.baselineEnd) - xScale(elem.baselineStart);
+              });
+    },
+
+
+    /**
+     * Calculates the offset of a time zone at a specific point in time.
+     *
+     * @param date {date} point in time
+     * @param timeZone {string} time zone, the time zone of the chart is used if not set
+     * @return {number} difference between the wall-clock time in the time zone and UTC in milliseconds
+     */
+    timeZoneOffset: function(date, timeZone) {
+      timeZone = timeZone || this.params.timeZone;
+
+      if (!timeZone || timeZone === 'local') return -new Date(+date).getTimezoneOffset() * 60000;
+
+      if (timeZone === 'UTC') return 0;
+
+      this.timeZoneFormats = this.timeZoneFormats || {};
+
+      if (!this.timeZoneFormats[timeZone]) {
+        this.timeZoneFormats[timeZone] = new Intl.DateTimeFormat('en-US', {
+          timeZone: timeZone, hourCycle: 'h23',
+          year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+      }
+
+      var parts = {};
+
+      this.timeZoneFormats[timeZone].formatToParts(new Date(+date)).forEach(function(part) {
+        parts[part.type] = parseInt(part.value, 10);
+      });
+
+      var wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+
+      return wallClock - (+date - new Date(+date).getUTCMilliseconds());
+    },
+
+
+    /**
+     * Converts a point in time to a date whose UTC fields show the wall-clock time in a time zone.
+     *
+     * @param date {date} point in time
+     * @param timeZone {string} time zone, the time zone of the chart is used if not set
+     * @return {date} shifted date to be used with d3 UTC intervals and formats
+     */
+    toZonedTime: function(date, timeZone) {
+      return new Date(+date + this.timeZoneOffset(date, timeZone));
+    },
+
+
+    /**
+     * Converts a date whose UTC fields show the wall-clock time in a time zone back to the point in time.
+     *
+     * @param date {date} shifted date as returned by `toZonedTime`
+     * @param timeZone {string} time zone, the time zone of the chart is used if not set
+     * @return {date} point in time
+     */
+    fromZonedTime: function(date, timeZone) {
+      var guess = +date - this.timeZoneOffset(date, timeZone);
+
+      return new Date(+date - this.timeZoneOffset(guess, timeZone));
+    },
+
+
+    /**
+     * Creates a date formatter for a time zone.
+     *
+     * @param format {string} d3 time format specifier
+     * @param timeZone {string} time zone, the time zone of the chart is used if not set
+     * @return {function} function formatting a date
+     */
+    timeFormat: function(format, timeZone) {
+      timeZone = timeZone || this.params.timeZone;
+
+      if (!timeZone || timeZone === 'local') return d3.timeFormat(format);
+
+      var utcFormat = d3.utcFormat(format);
+
+      return function(date) {
+        return utcFormat(this.toZonedTime(date, timeZone));
+      }.bind(this);
+    },
+
+
+    /**
+     * Determines the points in time of an interval within a time range.
+     *
+     * If a time zone is set, the interval is applied to the wall-clock time in this time zone. Intervals of fixed length
+     * that divide an hour (e.g. `d3.utcMinute.every(15)`) continue in absolute time across daylight saving time changes,
+     * so that no tick is lost when the clocks are set back.
+     *
+     * @param interval {function} d3 interval
+     * @param from {date} start of the time range
+     * @param to {date} end of the time range (exclusive)
+     * @return {array} dates
+     */
+    timeTicks: function(interval, from, to) {
+      if (!this.params.timeZone || this.params.timeZone === 'local') return interval.range(new Date(+from), new Date(+to));
+
+      var zonedFrom = this.toZonedTime(from);
+      var first = interval.ceil(zonedFrom);
+      var step = interval.offset(first, 1) - first;
+
+      if (step > 0 && step <= 3600000 && 3600000 % step === 0) {
+        return d3.range(+from + (first - zonedFrom), +to, step).map(function(tick) {
+          return new Date(tick);
+        });
+      }
+
+      // wall-clock times skipped by daylight saving time map to the same point in time
+      return interval.range(this.toZonedTime(from), this.toZonedTime(to)).map(function(tick) {
+        return this.fromZonedTime(tick);
+      }, this).filter(function(tick, i, ticks) {
+        return i === 0 || +tick !== +ticks[i - 1];
+      });
+    },
+
+
+    /**
+     * Rounds a date down to the start of an interval in the time zone of the chart.
+     *
+     * @param interval {function} d3 interval
+     * @param date {date} date to round
+     * @return {date} start of the interval containing the date
+     */
+    timeFloor: function(interval, date) {
+      if (!this.params.timeZone || this.params.timeZone === 'local') return interval.floor(new Date(+date));
+
+      return this.fromZonedTime(interval.floor(this.toZonedTime(date)));
+    },
+
+
+    /**
+     * Determines the interval and the label format of a tier of the x axis.
+     *
+     * @param tier {object} tier with `interval` and `format` or with `type` 'isoWeek', 'quarter' or 'fiscalYear'
+     * @return {object} `interval` and `format` (d3 time format specifier or function returning the label of a date)
+     */
+    tierDefinition: function(tier) {
+      var zoned = this.params.timeZone && this.params.timeZone !== 'local';
+      var fiscalStart = this.params.xAxis.fiscalStartMonth - 1;
+
+      // month and fiscal year of a point in time in the time zone of the chart
+      var fiscalDate = function(date) {
+        var zonedDate = this.toZonedTime(date);
+        var month = zonedDate.getUTCMonth();
+
+        return {
+          month: (month - fiscalStart + 12) % 12,
+          year: zonedDate.getUTCFullYear() + (fiscalStart > 0 && month >= fiscalStart ? 1 : 0)
+        };
+      }.bind(this);
+
+      // months starting a period of the given number of months within the fiscal year
+      var months = function(step) {
+        return (zoned ? d3.utcMonth : d3.timeMonth).filter(function(date) {
+          var month = zoned ? date.getUTCMonth() : date.getMonth();
+          return (month - fiscalStart + 12) % step === 0;
+        });
+      };
+
+      switch (tier.type) {
+        case 'isoWeek':
+          return {
+            interval: zoned ? d3.utcMonday : d3.timeMonday,
+            format: tier.format || 'W%V'
+          };
+
+        case 'quarter':
+          return {
+            interval: months(3),
+            format: tier.format || function(date) {
+              var fiscal = fiscalDate(date);
+              return 'Q' + (Math.floor(fiscal.month / 3) + 1) + ' ' + (fiscalStart > 0 ? 'FY' : '') + fiscal.year;
+            }
+          };
+
+        case 'fiscalYear':
+          return {
+            interval: months(12),
+            format: tier.format || function(date) {
+              return 'FY' + fiscalDate(date).year;
+            }
+          };
+
+        default:
+          return tier;
+      }
+    },
+
+
+    /**
+     * Splits a time range into the cells of a tier of the x axis.
+     *
+     * @param tier {object} tier of the x axis
+     * @param from {date} start of the time range
+     * @param to {date} end of the time range
+     * @return {array} cells with `start`, `end` and `label`; the first and last cell are cut off at the time range
+     */
+    tierCells: function(tier, from, to) {
+      if (tier.periods) return this.periodCells(tier.periods, from, to);
+
+      var definition = this.tierDefinition(tier);
+      var format = typeof definition.format === 'function' ? definition.format :
+                                                             this.timeFormat(definition.format || '%d.%m.%Y');
+      var boundaries = this.timeTicks(definition.interval, from, to).filter(function(boundary) {
+        return +boundary > +from;
+      });
+
+      boundaries.unshift(new Date(+from));
+      boundaries.push(new Date(+to));
+
+      var cells = [];
+
+      for (var i = 0; i < boundaries.length - 1; i++) {
+        if (+boundaries[i] >= +boundaries[i + 1]) continue;
+
+        cells.push({
+          start: boundaries[i],
+          end: boundaries[i + 1],
+          label: format(this.timeFloor(definition.interval, boundaries[i]))
+        });
+      }
+
+      return cells;
+    },
+
+
+    /**
+     * Creates the cells of a tier consisting of named periods such as sprints.
+     *
+     * @param periods {array} periods with `name`, `start` and `end`
+     * @param from {date} start of the time range
+     * @param to {date} end of the time range
+     * @return {array} cells with `start`, `end` and `label` of the periods within the time range
+     */
+    periodCells: function(periods, from, to) {
+      return periods.map(function(period) {
+        return {
+          start: new Date(Math.max(+this.parseDate(period.start), +from)),
+          end: new Date(Math.min(+this.parseDate(period.end), +to)),
+          label: period.name
+        };
+      }, this).filter(function(cell) {
+        return +cell.start < +cell.end;
+      }).sort(function(a, b) {
+        return a.start - b.start;
+      });
+    },
+
+
+    /**
+     * Shades alternating cells of the tiers of the x axis with `shade` set in the chart.
+     *
+     * @param chartNode {object} d3 selection of the chart SVG
+     */
+    drawPeriodShading: function(chartNode) {
+      var xScale = this.xAxisScale();
+      var domain = xScale.domain();
+
+      (this.params.xAxis.tiers || []).filter(function(tier) {
+        return tier.shade;
+      }).forEach(function(tier) {
+        var cells = this.tierCells(tier, domain[0], domain[1]).filter(function(cell, i) {
+          return i % 2 === 1;
+        });
+
+        chartNode.append('g')
+                 .attr('class', 'gantt-chart-period-shading')
+                 .selectAll('rect')
+                 .data(cells).enter()
+                 .append('rect')
+                 .attr('x', function(cell) {
+                   return xScale(cell.start);
+                 })
+                 .attr('width', function(cell) {
+                   return Math.max(0, xScale(cell.end) - xScale(cell.start));
+                 })
+                 .attr('y', 0)
+                 .attr('height', this.params.height);
+      }, this);
+    },
+
+
+    /**
+     * Returns the time scale of the x axis.
+     *
+     * If non-working time is collapsed or a time zone is set, a discontinuous scale that only covers the working time
+     * and computes ticks in the time zone is returned.
+     *
+     * @return {object} d3.scaleTime or discontinuous time scale
+     */
+    xAxisScale: function() {
+      if (this.timeSegments && this.timeSegments.length > 0) {
+        return this.discontinuousTimeScale(this.timeSegments, this.params.width);
+      }
+
+      if (this.params.timeZone && this.params.timeZone !== 'local') {
+        return this.discontinuousTimeScale([[+this.params.startTime, +this.params.endTime]], this.params.width);
       }
+
+      return d3.scaleTime()
+               .domain([ this.params.startTime, this.params.endTime])
+               .range([0, this.params.width])
+               .clamp(true);
+    },
+
+
+    /**
+     * Creates a time scale that only covers specific segments of time.
+     *
+     * The segments are placed next to each other; points in time between two segments are mapped to the position where they meet.
+     * The scale provides the methods required by d3 axes as well as `invert` and `breaks`.
+     *
+     * @param segments {array} sorted [start, end] pairs in milliseconds
+     * @param width {number} width of the range
+     * @return {object} discontinuous time scale
+     */
+    discontinuousTimeScale: function(segments, width) {
+      var offsets = [0];
+
+      segments.forEach(function(segment, i) {
+        offsets.push(offsets[i] + segment[1] - segment[0]);
+      });
+
+      var factor = offsets[segments.length] > 0 ? width / offsets[segments.length] : 0;
+      var bisectStart = d3.bisector(function(segment) { return segment[0]; }).right;
+
+      var scale = function(time) {
+        var i = Math.max(bisectStart(segments, +time) - 1, 0);
+        var segment = segments[i];
+
+        return (offsets[i] + Math.max(0, Math.min(+time, segment[1]) - segment[0])) * factor;
+      };
+
+      scale.invert = function(x) {
+        var i = Math.max(d3.bisectRight(offsets, x / factor) - 1, 0);
+
+        if (i >= segments.length) return new Date(segments[segments.length - 1][1]);
+
+        return new Date(segments[i][0] + x / factor - offsets[i]);
+      };
+
+      scale.domain = function() {
+        return [new Date(segments[0][0]), new Date(segments[segments.length - 1][1])];
+      };
+
+      scale.range = function() {
+        return [0, width];
+      };
+
+      scale.copy = function() {
+        return scale;
+      };
+
+      // only ticks within the displayed segments are shown
+      scale.ticks = function(interval) {
+        var domain = scale.domain();
+
+        return this.timeTicks(interval, domain[0], domain[1]).filter(function(tick) {
+          var segment = segments[bisectStart(segments, +tick) - 1];
+          return segment && +tick < segment[1];
+        });
+      }.bind(this);
+
+      // positions where time is left out
+      scale.breaks = function() {
+        return segments.slice(1).filter(function(segment, i) {
+          return segment[0] > segments[i][1];
+        }).map(function(segment) {
+          return scale(segment[0]);
+        });
+      };
+
+      return scale;
+    },
+
+
+    /**
+     * Returns the scale of activities represented by the y axis.
+     *
+     * Maps the name of an activity to the top of its row. Rows can have different heights depending on their number of lanes.
+     * `bandwidth()` returns the height of a single lane, `rowHeight(name)` the height of the row of an activity.
+     *
+     * @return {object} scale of the y axis
+     */
+    yAxisScale: function() {
+      var rows = {};
+
+      this.rows.forEach(function(row) {
+        rows[row.name] = row;
+      });
+
+      var scale = function(name) {
+        return rows[name] ? rows[name].y : undefined;
+      };
+
+      scale.domain = function() {
+        return this.rows.map(function(row) { return row.name; });
+      }.bind(this);
+
+      scale.range = function() {
+        return [0, this.params.height];
+      }.bind(this);
+
+      scale.bandwidth = function() {
+        return this.params.yAxis.elementHeight;
+      }.bind(this);
+
+      scale.rowHeight = function(name) {
+        return rows[name] ? rows[name].height : 0;
+      };
+
+      scale.copy = function() {
+        return scale;
+      };
+
+      return scale;
     },
 
 
     /**
-     * Initializes the gantt chart.
+     * Calculates the width of an element based on the start and end time.
      *
-     * Determines the time domain and sets configuration parameters.
+     * @param elem {object} element data
+     * @return {number} width of the element
+     */
+    elementWidth: function(elem) {
+      return this.xAxisScale()(elem.end) - this.xAxisScale()(elem.start);
+    },
+
+
+    /**
+     * Checks whether an element is a milestone.
      *
-     * @param params {object} user defined parameters that will overwrite the default parameters
+     * Milestones are elements of type 'milestone', which do not need an `end`, or elements without duration.
+     *
+     * @param elem {object} element data
+     * @return {boolean} true if the element is a milestone
      */
-    init: function(params) {
-      // get and store the user defined parameters
-      this.params = $.extend(true, this.defaultParameters, params);
+    isMilestone: function(elem) {
+      return elem.type === 'milestone' ||
+             (!elem.ongoing && elem.end instanceof Date && elem.start.getTime() === elem.end.getTime());
+    },
 
-      // determine the time domain
-      if (this.params.data.length > 0) {
-        this.params.data.sort(function(a, b) {
-          return a.end - b.end;
-        });
 
-        this.params.endTime = this.params.data[this.params.data.length - 1].end;
+    /**
+     * Returns half the width of a milestone diamond.
+     *
+     * @return {number} distance between the center and the left or right corner of the diamond
+     */
+    milestoneRadius: function() {
+      return this.params.yAxis.elementHeight * this.params.milestones.size / 2;
+    },
 
-        this.params.data.sort(function(a, b) {
-          return a.start - b.start;
-        });
 
-        this.params.startTime = this.params.data[0].start;
+    /**
+     * Returns the shape of a milestone.
+     *
+     * @param elem {object} element data of the milestone
+     * @return {string} SVG path description of a diamond
+     */
+    milestonePath: function(elem) {
+      var radius = this.milestoneRadius();
+      var center = this.elementHeight(elem) / 2;
+
+      return 'M0,' + (center - radius) + 'L' + radius + ',' + center + 'L0,' + (center + radius) + 'L' + (-radius) + ',' + center + 'Z';
+    },
+
+
+    /**
+     * Calculates the x and y offset of the label within a specific element.
+     *
+     * @param elem {object} element the label belongs to
+     * @return {string} 'translate([x], [y])'
+     */
+    elementLabelTranslate: function(elem) {
+      if (this.isMilestone(elem)) {
+        return 'translate(' + (this.milestoneRadius() + this.params.milestones.labelOffset) + ', ' + (this.elementHeight(elem) / 2) + ')';
       }
+
+      return 'translate(' + (this.elementWidth(elem) / 2) + ', ' + (this.elementHeight(elem) / 2) + ')';
     },
 
 
     /**
-     * Displays axes and elements.
+     * Normalizes the type of a dependency.
+     *
+     * Accepts the abbreviations 'FS', 'SS', 'FF', 'SF' as well as 'finish-to-start', 'start-to-start',
+     * 'finish-to-finish' and 'start-to-finish'. Dependencies without a type are finish-to-start.
+     *
+     * @param type {string} type of the dependency
+     * @return {string} 'FS', 'SS', 'FF' or 'SF'
      */
-    draw: function() {
-      // re-calculate the height of the diagram if explicit height of elements should be used
-      if (this.params.yAxis.dynamicHeight) {
-        this.params.height = this.params.yAxis.elementHeight * this.params.activities.length;
+    dependencyType: function(type) {
+      if (!type) return 'FS';
+
+      var abbreviation = type.length === 2 ? type.toUpperCase() : type.split('-to-').map(function(part) {
+        return part.charAt(0);
+      }).join('').toUpperCase();
+
+      return ['FS', 'SS', 'FF', 'SF'].indexOf(abbreviation) >= 0 ? abbreviation : 'FS';
+    },
+
+
+    /**
+     * Resolves the `dependsOn` lists of the data points into links between elements.
+     *
+     * An entry of `dependsOn` is either the `id` of the predecessor or an object `{id, type, lag}`
+     * where `lag` is given in milliseconds. Entries referring to unknown ids are ignored.
+     *
+     * @return {array} links of the form {source, target, type, lag}
+     */
+    dependencyLinks: function() {
+      var elements = {};
+
+      this.params.data.forEach(function(elem) {
+        if (elem.id !== undefined) elements[elem.id] = elem;
+      });
+
+      var links = [];
+
+      this.params.data.forEach(function(elem) {
+        (elem.dependsOn || []).forEach(function(dependency) {
+          if (typeof dependency !== 'object') dependency = { id: dependency };
+
+          if (elements[dependency.id]) {
+            links.push({
+              source: elements[dependency.id],
+              target: elem,
+              type: this.dependencyType(dependency.type),
+              lag: dependency.lag || 0
+            });
+          }
+        }, this);
+      }, this);
+
+      return links;
+    },
+
+
+    /**
+     * Calculates the elbow-routed path of a dependency arrow.
+     *
+     * The arrow leaves the predecessor at its start or end (depending on the dependency type),
+     * runs horizontally to the time shifted by the lag, and enters the successor at its start or end.
+     * If successor and predecessor are too close to each other, the arrow is routed along the border of the predecessor row.
+     *
+     * @param link {object} link as returned by `dependencyLinks`
+     * @return {string} SVG path description
+     */
+    dependencyPath: function(link) {
+      var xScale = this.xAxisScale();
+      var yScale = this.yAxisScale();
+      var offset = this.params.dependencies.offset;
+
+      var sourceTime = link.type.charAt(0) === 'F' ? link.source.end : link.source.start;
+      var targetTime = link.type.charAt(1) === 'F' ? link.target.end : link.target.start;
+
+      // direction in which the arrow leaves the predecessor and enters the successor
+      var out = link.type.charAt(0) === 'F' ? 1 : -1;
+      var into = link.type.charAt(1) === 'S' ? 1 : -1;
+
+      // arrows start and end at the corners of milestones
+      var sourceShift = this.isMilestone(link.source) ? out * this.milestoneRadius() : 0;
+      var sourceX = xScale(sourceTime) + sourceShift;
+      var lagX = xScale(new Date(sourceTime.getTime() + link.lag)) + sourceShift;
+      var targetX = xScale(targetTime) - (this.isMilestone(link.target) ? into * this.milestoneRadius() : 0);
+      var sourceY = this.elementY(link.source) + this.elementHeight(link.source) / 2;
+      var targetY = this.elementY(link.target) + this.elementHeight(link.target) / 2;
+
+      var exitX = lagX + out * offset;
+      var entryX = targetX - into * offset;
+
+      // a single vertical segment is sufficient if it can be placed between exit and entry
+      var bendX = out > 0 ? (into > 0 ? exitX : Math.max(exitX, entryX)) : (into > 0 ? Math.min(exitX, entryX) : exitX);
+
+      if ((out * (bendX - exitX) >= 0 && into * (entryX - bendX) >= 0) || sourceY === targetY) {
+        return 'M' + sourceX + ',' + sourceY + 'H' + bendX + 'V' + targetY + 'H' + targetX;
       }
 
-      // re-calculate the width of the diagram if explicit distance between ticks should be used
-      if (this.params.xAxis.dynamicWidth) {
-        var numberOfTicks = this.params.xAxis.interval.range(this.params.startTime, this.params.endTime).length;
-        this.params.width = this.params.xAxis.tickDistance * numberOfTicks;
+      var borderY = yScale(link.source.activity) + (targetY > sourceY ? yScale.rowHeight(link.source.activity) : 0);
+
+      return 'M' + sourceX + ',' + sourceY + 'H' + exitX + 'V' + borderY + 'H' + entryX + 'V' + targetY + 'H' + targetX;
+    },
+
+
+    /**
+     * Determines the time a dependency constrains its successor to.
+     *
+     * @param link {object} link as returned by `dependencyLinks`
+     * @param start {number} start of the predecessor in milliseconds
+     * @param end {number} end of the predecessor in milliseconds
+     * @return {number} earliest start (for '*S' dependencies) or earliest end (for '*F' dependencies) of the successor in milliseconds
+     */
+    dependencyConstraint: function(link, start, end) {
+      return (link.type.charAt(0) === 'F' ? end : start) + link.lag;
+    },
+
+
+    /**
+     * Sorts the data points so that predecessors come before their successors.
+     *
+     * Data points that are part of circular dependencies are appended in their original order.
+     *
+     * @param links {array} links as returned by `dependencyLinks`
+     * @return {array} sorted data points
+     */
+    topologicalOrder: function(links) {
+      var predecessors = new Map();
+      var successors = new Map();
+
+      this.params.data.forEach(function(elem) {
+        predecessors.set(elem, 0);
+        successors.set(elem, []);
+      });
+
+      links.forEach(function(link) {
+        predecessors.set(link.target, predecessors.get(link.target) + 1);
+        successors.get(link.source).push(link.target);
+      });
+
+      var queue = this.params.data.filter(function(elem) {
+        return predecessors.get(elem) === 0;
+      });
+
+      var order = [];
+
+      var release = function(successor) {
+        predecessors.set(successor, predecessors.get(successor) - 1);
+
+        if (predecessors.get(successor) === 0) queue.push(successor);
+      };
+
+      while (queue.length > 0) {
+        var elem = queue.shift();
+
+        order.push(elem);
+        successors.get(elem).forEach(release);
       }
 
-      this.drawXAxis();
-      this.drawYAxis();
-      this.initTooltips();
+      return order.concat(this.params.data.filter(function(elem) {
+        return order.indexOf(elem) < 0;
+      }));
+    },
 
-      // create a separate container in order to enable scrolling on overflow with fixed axes
-      var chartContainer = d3.select(this.params.node)
-                             .attr('class', 'gantt-chart')
-                             .append('div')
-                             .attr('class', 'gantt-chart-container')
-                             .attr('height', this.params.height)
-                             .attr('width', this.params.width)
-                             .attr('style', 'left: ' + this.params.yAxis.width + 'px');
 
-      var chartNode = chartContainer.append('svg')
-                                    .attr('preserveAspectRatio', 'xMinYMin meet')
-                                    .attr('class', 'chart')
-                                    .attr('width', this.params.width)
-                                    .attr('height', this.params.height);
+    /**
+     * Performs a critical path analysis based on the dependencies and durations of the data points.
+     *
+     * The forward pass determines the early dates, starting each element not before its `start`.
+     * The backward pass determines the late dates, ending with the latest end of all elements.
+     * All dates and floats are given in milliseconds.
+     *
+     * @return {object} Map of data points to {earlyStart, earlyFinish, lateStart, lateFinish, totalFloat, freeFloat, critical}
+     */
+    analyzeSchedule: function() {
+      var links = this.dependencyLinks();
+      var order = this.topologicalOrder(links);
+      var analysis = new Map();
 
-      // display the elements based on the provided data
-      var element = chartNode.selectAll('svg')
-                             .data(this.params.data).enter()
-                             .append('g')
-                             .attr('transform', function(elem) {
-                               return this.elementTranslate(elem);
-                             }.bind(this));
+      var duration = function(elem) {
+        return elem.end - elem.start;
+      };
 
-      element.append('rect')
-             .attr('fill', function(elem) {
-               if (elem.fillColor)
-                  return elem.fillColor;
-             })
-             .attr('stroke', function(elem) {
-               if (elem.strokeColor)
-                  return elem.strokeColor;
-             })
-             .attr('height', this.params.yAxis.elementHeight)
-             .attr('width', function(elem) {
-               return this.elementWidth(elem);
-             }.bind(this));
+      order.forEach(function(elem) {
+        var earlyStart = elem.start.getTime();
 
-      element.append('text')
-             .style('text-anchor', 'middle')
-             .attr('transform', function(elem) {
-               return this.elementLabelTranslate(elem);
-             }.bind(this))
-             .text(function(elem) { // show text within elements
-               return elem.text;
-             });
+        links.forEach(function(link) {
+          var source = analysis.get(link.source);
+
+          if (link.target !== elem || !source) return;
+
+          var constraint = this.dependencyConstraint(link, source.earlyStart, source.earlyFinish);
+
+          earlyStart = Math.max(earlyStart, link.type.charAt(1) === 'F' ? constraint - duration(elem) : constraint);
+        }, this);
+
+        analysis.set(elem, { earlyStart: earlyStart, earlyFinish: earlyStart + duration(elem) });
+      }, this);
+
+      var projectEnd = d3.max(order, function(elem) {
+        return analysis.get(elem).earlyFinish;
+      });
+
+      order.slice().reverse().forEach(function(elem) {
+        var result = analysis.get(elem);
+        var lateFinish = projectEnd;
+        var freeFloat = projectEnd - result.earlyFinish;
+
+        links.forEach(function(link) {
+          var target = analysis.get(link.target);
+
+          if (link.source !== elem || target.lateStart === undefined) return;
+
+          // latest start or end of the successor, shifted back by the lag, limits the start or end of this element
+          var limit = (link.type.charAt(1) === 'F' ? target.lateFinish : target.lateStart) - link.lag;
+          var early = (link.type.charAt(1) === 'F' ? target.earlyFinish : target.earlyStart);
+
+          lateFinish = Math.min(lateFinish, link.type.charAt(0) === 'F' ? limit : limit + duration(elem));
+          freeFloat = Math.min(freeFloat, early - this.dependencyConstraint(link, result.earlyStart, result.earlyFinish));
+        }, this);
+
+        result.lateFinish = lateFinish;
+        result.lateStart = lateFinish - duration(elem);
+        result.totalFloat = result.lateStart - result.earlyStart;
+        result.freeFloat = Math.max(freeFloat, 0);
+        result.critical = result.totalFloat <= 0;
+      }, this);
+
+      return analysis;
     },
 
 
     /**
-     * Calculates the x and y position of an element in the diagram.
+     * Returns the elements on the critical path.
      *
-     * @param elem {object} element data of a data point
-     * @return {string} 'translate([x], [y])'
+     * @return {array} critical data points ordered by their early start
      */
-    elementTranslate: function(elem) {
-      return 'translate(' + this.xAxisScale()(elem.start) + ', ' + this.yAxisScale()(elem.activity) + ')';
+    getCriticalPath: function() {
+      var analysis = this.analyzeSchedule();
+
+      return this.params.data.filter(function(elem) {
+        return analysis.get(elem).critical;
+      }).sort(function(a, b) {
+        return analysis.get(a).earlyStart - analysis.get(b).earlyStart;
+      });
     },
 
 
     /**
-     * Returns the time scale of the x axis.
-     * @return {object} d3.scaleTime
+     * Returns the float of an element.
+     *
+     * @param elem {object} data point
+     * @return {object} {total, free} float in milliseconds
      */
-    xAxisScale: function() {
-      return d3.scaleTime()
-               .domain([ this.params.startTime, this.params.endTime])
-               .range([0, this.params.width])
-               .clamp(true);
+    getFloat: function(elem) {
+      var result = this.analyzeSchedule().get(elem);
+
+      return result ? { total: result.totalFloat, free: result.freeFloat } : undefined;
     },
 
 
     /**
-     * Returns the scale of activities represented by the y axis.
-     * @return {object} d3.scaleBand
+     * Checks whether a dependency is part of the critical path.
+     *
+     * @param link {object} link as returned by `dependencyLinks`
+     * @return {boolean} true if both elements are critical and the predecessor drives the successor
      */
-    yAxisScale: function() {
-      return d3.scaleBand()
-               .domain(this.params.activities.map(function(x) { return x.name; }))
-               .range([0, this.params.height]);
+    isCriticalLink: function(link) {
+      if (!this.analysis) return false;
+
+      var source = this.analysis.get(link.source);
+      var target = this.analysis.get(link.target);
+
+      if (!source || !target || !source.critical || !target.critical) return false;
+
+      var constraint = this.dependencyConstraint(link, source.earlyStart, source.earlyFinish);
+
+      return (link.type.charAt(1) === 'F' ? target.earlyFinish : target.earlyStart) <= constraint;
     },
 
 
     /**
-     * Calculates the width of an element based on the start and end time.
+     * Highlights critical elements and displays the total float of elements as whiskers.
      *
-     * @param elem {object} element data
-     * @return {number} width of the element
+     * @param element {object} d3 selection of the element groups
      */
-    elementWidth: function(elem) {
-      return this.xAxisScale()(elem.end) - this.xAxisScale()(elem.start);
+    drawCriticalPath: function(element) {
+      var analysis = this.analysis;
+      var criticalPath = this.params.criticalPath;
+
+      if (!analysis) return;
+
+      if (criticalPath.highlight) {
+        var critical = element.filter('.gantt-chart-critical')
+                              .selectAll('.gantt-chart-bar, .gantt-chart-milestone');
+
+        if (criticalPath.fillColor) critical.attr('fill', criticalPath.fillColor);
+        if (criticalPath.strokeColor) critical.attr('stroke', criticalPath.strokeColor);
+      }
+
+      if (criticalPath.showFloat) {
+        var xScale = this.xAxisScale();
+
+        element.filter(function(elem) {
+                 return analysis.has(elem) && analysis.get(elem).totalFloat > 0;
+               })
+               .append('path')
+               .attr('class', 'gantt-chart-float')
+               .attr('d', function(elem) {
+                 var end = xScale(elem.end) - xScale(elem.start);
+                 var floatEnd = xScale(new Date(elem.end.getTime() + analysis.get(elem).totalFloat)) - xScale(elem.start);
+                 var center = this.elementHeight(elem) / 2;
+                 var tick = this.elementHeight(elem) / 4;
+
+                 return 'M' + end + ',' + center + 'H' + floatEnd + 'M' + floatEnd + ',' + (center - tick) + 'V' + (center + tick);
+               }.bind(this));
+      }
     },
 
 
     /**
-     * Calculates the x and y offset of the label within a specific element.
+     * Shades the non-working time of each row according to the calendar of its activity.
      *
-     * @param elem {object} element the label belongs to
-     * @return {string} 'translate([x], [y])'
+     * @param chartNode {object} d3 selection of the chart SVG
      */
-    elementLabelTranslate: function(elem) {
-      return 'translate(' + (this.elementWidth(elem) / 2) + ', ' + (this.yAxisScale().bandwidth() / 2) + ')';
+    drawNonWorkingTime: function(chartNode) {
+      var xScale = this.xAxisScale();
+      var intervals = new Map();
+
+      var shading = chartNode.append('g')
+                             .attr('class', 'gantt-chart-non-working-time');
+
+      this.rows.forEach(function(row) {
+        var calendar = this.activityCalendar(row.name);
+
+        if (!calendar) return;
+
+        if (!intervals.has(calendar)) {
+          intervals.set(calendar, this.nonWorkingIntervals(calendar, this.params.startTime, this.params.endTime));
+        }
+
+        shading.selectAll(null)
+               .data(intervals.get(calendar)).enter()
+               .append('rect')
+               .attr('x', function(interval) {
+                 return xScale(interval[0]);
+               })
+               .attr('width', function(interval) {
+                 return xScale(interval[1]) - xScale(interval[0]);
+               })
+               .attr('y', row.y)
+               .attr('height', row.height);
+      }, this);
+    },
+
+
+    /**
+     * Displays arrows between dependent elements.
+     *
+     * @param chartNode {object} d3 selection of the chart SVG
+     */
+    drawDependencies: function(chartNode) {
+      var size = this.params.dependencies.arrowSize;
+      var markerId = this.params.node.replace(/[^\w-]/g, '') + '-dependency-arrow';
+
+      chartNode.append('defs')
+               .append('marker')
+               .attr('id', markerId)
+               .attr('viewBox', '0 0 10 10')
+               .attr('refX', 10)
+               .attr('refY', 5)
+               .attr('markerUnits', 'userSpaceOnUse')
+               .attr('markerWidth', size * 2)
+               .attr('markerHeight', size * 2)
+               .attr('orient', 'auto')
+               .append('path')
+               .attr('class', 'gantt-chart-dependency-arrow')
+               .attr('d', 'M0,0L10,5L0,10z');
+
+      // only dependencies between displayed elements are shown
+      var links = this.dependencyLinks().filter(function(link) {
+        return this.lanes.has(link.source) && this.lanes.has(link.target);
+      }, this);
+
+      chartNode.append('g')
+               .attr('class', 'gantt-chart-dependencies')
+               .selectAll('path')
+               .data(links).enter()
+               .append('path')
+               .attr('class', function(link) {
+                 var critical = this.params.criticalPath.highlight && this.isCriticalLink(link);
+                 return 'gantt-chart-dependency gantt-chart-dependency-' + link.type.toLowerCase() + (critical ? ' gantt-chart-critical' : '');
+               }.bind(this))
+               .attr('marker-end', 'url(#' + markerId + ')')
+               .attr('d', function(link) {
+                 return this.dependencyPath(link);
+               }.bind(this));
     },
 
 
@@ -247,23 +2503,128 @@
       // show x axis
       var xAxis = d3.axisBottom()
                     .scale(this.xAxisScale())
-                    .tickFormat(d3.timeFormat(this.params.xAxis.label.format))
+                    .tickFormat(this.timeFormat(this.params.xAxis.label.format))
                     .ticks(this.params.xAxis.interval);
 
+      var secondary = this.params.xAxis.secondary;
+      var tiers = this.params.xAxis.tiers;
+      var headerHeight = tiers ? tiers.length * this.params.xAxis.tierHeight : this.params.xAxis.height;
+
       var xAxisSvg = xAxisNode.append('svg')
                               .attr('width', this.params.width + this.params.yAxis.width)
-                              .attr('height', this.params.height + this.params.xAxis.height);
-
-      xAxisSvg.append('g')
-              .attr('class', 'x axis')
-              .attr('transform', 'translate(' + this.params.yAxis.width + ',' + this.params.height + ')')
-              .transition()
-              .call(xAxis)
-              .selectAll('text')
+                              .attr('height', this.params.height + headerHeight +
+                                              (secondary.timeZone ? this.params.xAxis.height : 0));
+
+      if (tiers) {
+        this.drawXAxisTiers(xAxisSvg, xAxis.scale(), this.params.height);
+      } else {
+        var axis = xAxisSvg.append('g')
+                           .attr('class', 'x axis')
+                           .attr('transform', 'translate(' + this.params.yAxis.width + ',' + this.params.height + ')');
+
+        axis.transition()
+            .call(xAxis)
+            .selectAll('text')
+              .style('text-anchor', 'end')
+              .attr('dx', this.params.xAxis.label.dx)
+              .attr('dy', this.params.xAxis.label.dy)
+              .attr('transform', 'rotate(' + this.params.xAxis.label.rotation + ')');
+
+        // mark collapsed time on the axis
+        if (xAxis.scale().breaks) {
+          axis.selectAll('.gantt-chart-axis-break')
+              .data(xAxis.scale().breaks()).enter()
+              .append('path')
+              .attr('class', 'gantt-chart-axis-break')
+              .attr('d', function(x) {
+                return 'M' + (x - 5) + ',5L' + (x - 1) + ',-5M' + (x + 1) + ',5L' + (x + 5) + ',-5';
+              });
+        }
+      }
+
+      // second row with the same ticks formatted in another time zone
+      if (secondary.timeZone) {
+        var secondaryAxis = d3.axisBottom()
+                              .scale(xAxis.scale())
+                              .tickFormat(this.timeFormat(secondary.format || this.params.xAxis.label.format, secondary.timeZone))
+                              .ticks(this.params.xAxis.interval);
+
+        xAxisSvg.append('g')
+                .attr('class', 'x axis gantt-chart-x-axis-secondary')
+                .attr('transform', 'translate(' + this.params.yAxis.width + ',' + (this.params.height + headerHeight) + ')')
+                .transition()
+                .call(secondaryAxis)
+                .selectAll('text')
+                  .style('text-anchor', 'end')
+                  .attr('dx', this.params.xAxis.label.dx)
+                  .attr('dy', this.params.xAxis.label.dy)
+                  .attr('transform', 'rotate(' + this.params.xAxis.label.rotation + ')');
+
+        // name the time zone of each row
+        var rowCenters = [headerHeight / 2, headerHeight + this.params.xAxis.height / 2];
+
+        xAxisSvg.selectAll('.gantt-chart-axis-time-zone')
+                .data([this.params.timeZone || 'local', secondary.timeZone]).enter()
+                .append('text')
+                .attr('class', 'gantt-chart-axis-time-zone')
+                .attr('x', this.params.yAxis.width - 5)
+                .attr('y', function(timeZone, i) {
+                  return this.params.height + rowCenters[i];
+                }.bind(this))
+                .attr('dy', '0.35em')
                 .style('text-anchor', 'end')
-                .attr('dx', this.params.xAxis.label.dx)
-                .attr('dy', this.params.xAxis.label.dy)
-                .attr('transform', 'rotate(' + this.params.xAxis.label.rotation + ')');
+                .text(function(timeZone) {
+                  return timeZone;
+                });
+      }
+    },
+
+
+    /**
+     * Displays the tiers of the x axis as stacked rows of cells spanning their intervals.
+     *
+     * @param svg {object} d3 selection of the x axis svg
+     * @param scale {object} time scale of the x axis
+     * @param top {number} y position of the first tier
+     */
+    drawXAxisTiers: function(svg, scale, top) {
+      var tierHeight = this.params.xAxis.tierHeight;
+      var domain = scale.domain();
+
+      var tier = svg.selectAll('.gantt-chart-tier')
+                    .data(this.params.xAxis.tiers).enter()
+                    .append('g')
+                    .attr('class', 'gantt-chart-tier')
+                    .attr('transform', function(tier, i) {
+                      return 'translate(' + this.params.yAxis.width + ',' + (top + i * tierHeight) + ')';
+                    }.bind(this));
+
+      var cell = tier.selectAll('.gantt-chart-tier-cell')
+                     .data(function(tier) {
+                       return this.tierCells(tier, domain[0], domain[1]);
+                     }.bind(this)).enter()
+                     .append('g')
+                     .attr('class', 'gantt-chart-tier-cell')
+                     .attr('transform', function(cell) {
+                       return 'translate(' + scale(cell.start) + ',0)';
+                     });
+
+      cell.append('rect')
+          .attr('width', function(cell) {
+            return Math.max(0, scale(cell.end) - scale(cell.start));
+          })
+          .attr('height', tierHeight);
+
+      cell.append('text')
+          .attr('x', function(cell) {
+            return (scale(cell.end) - scale(cell.start)) / 2;
+          })
+          .attr('y', tierHeight / 2)
+          .attr('dy', '0.35em')
+          .style('text-anchor', 'middle')
+          .text(function(cell) {
+            return cell.label;
+          });
     },
 
 
@@ -290,14 +2651,67 @@
                               .attr('width', this.params.yAxis.width)
                               .attr('height', this.params.height);
 
-      var yAxis = d3.axisLeft().scale(this.yAxisScale()).tickSize(0);
+      // labels are centered within the rows
+      var yScale = this.yAxisScale();
+      var labelScale = function(name) {
+        return yScale(name) + yScale.rowHeight(name) / 2;
+      };
+
+      labelScale.domain = yScale.domain;
+      labelScale.range = yScale.range;
+      labelScale.copy = function() {
+        return labelScale;
+      };
+
+      var yAxis = d3.axisLeft().scale(labelScale).tickSize(0);
+
+      var axis = yAxisSvg.append('g')
+                         .attr('class', 'y axis')
+                         .attr('transform', 'translate(' + (this.params.yAxis.width - 1) + ', 0)')
+                         .call(yAxis);
+
+      var nested = this.rows.some(function(row) {
+        return row.node.children.length > 0;
+      });
+
+      if (nested) {
+        this.drawActivityTree(axis);
+      }
+    },
+
+
+    /**
+     * Displays the y axis labels as indented tree with toggles to collapse and expand groups.
+     *
+     * @param axis {object} d3 selection of the y axis
+     */
+    drawActivityTree: function(axis) {
+      var indent = this.params.yAxis.indent;
+      var left = 1 - this.params.yAxis.width;
+      var nodes = this.activityNodes;
+
+      var tick = axis.selectAll('.tick');
 
-      this.params.yAxis.elementHeight = this.yAxisScale().bandwidth();
+      tick.select('text')
+          .style('text-anchor', 'start')
+          .attr('x', function(name) {
+            return left + (nodes[name].depth + 1) * indent;
+          });
 
-      yAxisSvg.append('g')
-              .attr('class', 'y axis')
-              .attr('transform', 'translate(' + (this.params.yAxis.width - 1) + ', 0)')
-              .call(yAxis);
+      tick.filter(function(name) { return nodes[name].children.length > 0; })
+          .append('text')
+          .attr('class', 'gantt-chart-toggle')
+          .attr('fill', 'currentColor')
+          .attr('dy', '0.32em')
+          .attr('x', function(name) {
+            return left + nodes[name].depth * indent;
+          })
+          .text(function(name) {
+            return nodes[name].activity.collapsed ? '\u25B8' : '\u25BE';
+          })
+          .on('click', function(event, name) {
+            this.toggleActivity(name);
+          }.bind(this));
     },
 
 
@@ -305,7 +2719,7 @@
      * Creates the tooltips for the y axis to show the activity descriptions.
      */
     initTooltips: function() {
-      var activities = this.params.activities;
+      var activities = this.activityNodes;
       var node = $(this.params.node)[0];
 
       // create one div that will be the tooltip
@@ -323,7 +2737,7 @@
         })
         .on('mousemove', function(event, d){
           return tooltip.style('top', d3.pointer(node)[1] + 10 + 'px').style('left', d3.pointer(node)[0] + 10 + 'px')
-                        .text(activities.find(function(x) { return x.name == d; }).description);
+                        .text(activities[d].activity.description);
         })
   	    .on('mouseout', function(){
           return tooltip.style('visibility', 'hidden');